@@ -172,6 +172,9 @@ function clean() {
 const allJs = gulp.parallel(
   js.bind(null, 'js/prism-worker/index.js', 'js/'),
   js.bind(null, 'js/gzip-worker/index.js', 'js/'),
+  js.bind(null, 'js/diff-worker/index.js', 'js/'),
+  js.bind(null, 'js/zip-worker/index.js', 'js/'),
+  js.bind(null, 'js/pixel-diff-worker/index.js', 'js/'),
   js.bind(null, 'js/svgo-worker/index.js', 'js/'),
   js.bind(null, 'js/sw/index.js', ''),
   js.bind(null, 'js/page/index.js', 'js/'),
@@ -0,0 +1,156 @@
+// A start tag with several attributes, as printed by SVGO's pretty mode
+const startTagRe = /^(\s*)(<[^\s/>]+)((?:\s+[^\s=]+="[^"]*")+)\s*(\/?>)$/;
+const attributeRe = /[^\s=]+="[^"]*"/g;
+
+// Puts each attribute on its own line, so a diff can point at one
+function splitAttributes(text) {
+  const lines = [];
+
+  for (const line of text.split('\n')) {
+    const match = startTagRe.exec(line);
+
+    if (!match) {
+      lines.push(line);
+      continue;
+    }
+
+    const [, indent, tagStart, attributes, tagEnd] = match;
+    lines.push(indent + tagStart);
+
+    for (const [attribute] of attributes.matchAll(attributeRe)) {
+      lines.push(`${indent}    ${attribute}`);
+    }
+
+    lines.push(indent + tagEnd);
+  }
+
+  return lines;
+}
+
+// The trace grows with the square of the number of edits, so past this many
+// the changed lines are shown as one removal & one addition instead
+const maxEdits = 2000;
+
+// Furthest reaching x for each diagonal k, after each number of edits d.
+// Only diagonals -d...d can have been reached, so that's all that's kept.
+// Null if it takes more than maxEdits.
+function findShortestEdit(a, b) {
+  const max = Math.min(a.length + b.length, maxEdits);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d, offset + d + 1));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+      if (x >= a.length && y >= b.length) return trace;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Myers' O(ND) diff, see "An O(ND) Difference Algorithm and Its Variations".
+ * @returns {Array<{ type: 'same' | 'add' | 'remove', text: string }>}
+ */
+function diffEdits(a, b) {
+  const trace = findShortestEdit(a, b);
+
+  if (!trace) {
+    return [
+      ...a.map((text) => ({ type: 'remove', text })),
+      ...b.map((text) => ({ type: 'add', text })),
+    ];
+  }
+
+  const changes = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const previous = trace[d];
+    const k = x - y;
+    const previousK =
+      k === -d || (k !== d && previous[d + k - 1] < previous[d + k + 1])
+        ? k + 1
+        : k - 1;
+    const previousX = previous[d + previousK];
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      changes.push({ type: 'same', text: a[--x] });
+      y--;
+    }
+
+    if (x === previousX) {
+      changes.push({ type: 'add', text: b[--y] });
+    } else {
+      changes.push({ type: 'remove', text: a[--x] });
+    }
+  }
+
+  // whatever's left matched from the start
+  while (x > 0) changes.push({ type: 'same', text: a[--x] });
+
+  return changes.reverse();
+}
+
+// Matching lines at the start & end needn't go through the diff
+function diffLines(a, b) {
+  let start = 0;
+  let end = 0;
+
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  while (
+    end < a.length - start &&
+    end < b.length - start &&
+    a[a.length - 1 - end] === b[b.length - 1 - end]
+  ) {
+    end++;
+  }
+
+  const same = (text) => ({ type: 'same', text });
+
+  return [
+    ...a.slice(0, start).map((text) => same(text)),
+    ...diffEdits(
+      a.slice(start, a.length - end),
+      b.slice(start, b.length - end),
+    ),
+    ...a.slice(a.length - end).map((text) => same(text)),
+  ];
+}
+
+self.onmessage = (event) => {
+  try {
+    self.postMessage({
+      id: event.data.id,
+      result: diffLines(
+        splitAttributes(event.data.before),
+        splitAttributes(event.data.after),
+      ),
+    });
+  } catch (error) {
+    self.postMessage({
+      id: event.data.id,
+      error: error.message,
+    });
+  }
+};
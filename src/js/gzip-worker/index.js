@@ -1,8 +1,15 @@
 import { gzip } from 'pako/dist/pako_deflate.js';
+import { ungzip } from 'pako/dist/pako_inflate.js';
+
+const actions = {
+  compress: (data) => gzip(data).buffer,
+  // .svgz files
+  decompress: (data) => ungzip(new Uint8Array(data), { to: 'string' }),
+};
 
 self.onmessage = (event) => {
   try {
-    const result = gzip(event.data.data).buffer;
+    const result = actions[event.data.action](event.data.data);
     self.postMessage({
       id: event.data.id,
       result,
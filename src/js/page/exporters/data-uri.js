@@ -0,0 +1,78 @@
+import { getClassName } from './utils.js';
+
+// Characters that are unsafe unencoded in a url(), or that end it early
+const unsafeRe = /[\s%#<>{}|\\^`\u{7F}-\u{10FFFF}]/gu;
+const quoteCodes = { '"': '%22', "'": '%27' };
+// Comments, CDATA, processing instructions, tags, then text
+const tokenRe =
+  /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?]]>|<\?[\s\S]*?\?>|<(?:[^>"']|"[^"]*"|'[^']*')*>|[^<]+|</g;
+const tagPartRe = /"[^"]*"|'[^']*'|\s+/g;
+
+function encodeChar(char) {
+  // spaces are fine in a url("…"), other whitespace has to be kept as it is
+  if (char === ' ') return ' ';
+  return encodeURIComponent(char);
+}
+
+// Whitespace in a tag can be collapsed, and attributes can be delimited by
+// whichever quote doesn't need encoding
+function minifyTag(tag, otherQuote) {
+  return tag.replace(tagPartRe, (part) => {
+    if (/^\s/.test(part)) return ' ';
+
+    const value = part.slice(1, -1).replace(/\s+/g, ' ');
+    const delimiter = value.includes(otherQuote) ? part[0] : otherQuote;
+    return `${delimiter}${value}${delimiter}`;
+  });
+}
+
+/**
+ * The shortest safe data URI, percent-encoding as little as possible.
+ * Attributes are delimited by the other kind of quote where they can be, so
+ * the URI can sit in url("…"), or url('…'), without encoding them. Text,
+ * CDATA & comments are kept as they are, so it renders the same.
+ * @param {string} svgText
+ * @param {{ quote?: string }} [options] The quote the URI sits in
+ */
+export function exportDataUri(svgText, { quote = '"' } = {}) {
+  const otherQuote = quote === "'" ? '"' : "'";
+  const text = svgText.trim().replace(tokenRe, (token) => {
+    // whitespace between tags
+    if (!/\S/.test(token)) return ' ';
+    if (/^<[^!?]/.test(token)) return minifyTag(token, otherQuote);
+    return token;
+  });
+
+  return `data:image/svg+xml,${text
+    .replace(unsafeRe, encodeChar)
+    .replaceAll(quote, quoteCodes[quote])}`;
+}
+
+/**
+ * @param {string} svgText
+ */
+export function exportBase64(svgText) {
+  const bytes = new TextEncoder().encode(svgText);
+  let binary = '';
+
+  // in chunks, as spreading a big array blows the stack
+  for (let i = 0; i < bytes.length; i += 0x80_00) {
+    binary += String.fromCodePoint(...bytes.subarray(i, i + 0x80_00));
+  }
+
+  return `data:image/svg+xml;base64,${btoa(binary)}`;
+}
+
+/**
+ * A rule using the data URI as a background image.
+ * @param {string} svgText
+ * @param {{ filename: string }} options
+ */
+export function exportCss(svgText, { filename }) {
+  return [
+    `.${getClassName(filename)} {`,
+    `  background-image: url("${exportDataUri(svgText)}");`,
+    '}',
+    '',
+  ].join('\n');
+}
@@ -0,0 +1,732 @@
+import { parseSvg } from './utils.js';
+import { getShapeSegments, serializePathData } from './path-data.js';
+
+const svgNs = 'http://www.w3.org/2000/svg';
+
+// Properties children take from their parents, and their initial values
+const inheritedDefaults = {
+  fill: 'black',
+  'fill-opacity': '1',
+  'fill-rule': 'nonzero',
+  stroke: 'none',
+  'stroke-width': '1',
+  'stroke-opacity': '1',
+  'stroke-linecap': 'butt',
+  'stroke-linejoin': 'miter',
+  'stroke-miterlimit': '4',
+  'stroke-dasharray': 'none',
+  'stroke-dashoffset': '0',
+  'clip-rule': 'nonzero',
+  visibility: 'visible',
+  color: '',
+};
+
+const ownProperties = [
+  'opacity',
+  'display',
+  'clip-path',
+  'mask',
+  'filter',
+  'marker-start',
+  'marker-mid',
+  'marker-end',
+];
+
+const shapeElements = new Set([
+  'path',
+  'rect',
+  'circle',
+  'ellipse',
+  'line',
+  'polyline',
+  'polygon',
+]);
+
+const containerElements = new Set(['g', 'a', 'svg']);
+
+// Only drawn when something refers to them, or not at all
+const nonRenderedElements = new Set([
+  'defs',
+  'title',
+  'desc',
+  'metadata',
+  'linearGradient',
+  'radialGradient',
+  'clipPath',
+  'symbol',
+  'marker',
+  'mask',
+  'pattern',
+  'filter',
+  'style',
+  'script',
+]);
+
+const unsupportedElements = new Map([
+  ['text', 'Text'],
+  ['image', 'Embedded images'],
+  ['foreignObject', 'foreignObject content'],
+]);
+
+const unsupportedProperties = new Map([
+  ['filter', 'Filters'],
+  ['mask', 'Masks'],
+  ['marker-start', 'Markers'],
+  ['marker-mid', 'Markers'],
+  ['marker-end', 'Markers'],
+]);
+
+const identity = [1, 0, 0, 1, 0, 0];
+
+/**
+ * @param {number[]} m1
+ * @param {number[]} m2
+ * @returns {number[]} m1 × m2, so m2 applies first
+ */
+export function multiplyMatrices(
+  [a1, b1, c1, d1, e1, f1],
+  [a2, b2, c2, d2, e2, f2],
+) {
+  return [
+    a1 * a2 + c1 * b2,
+    b1 * a2 + d1 * b2,
+    a1 * c2 + c1 * d2,
+    b1 * c2 + d1 * d2,
+    a1 * e2 + c1 * f2 + e1,
+    b1 * e2 + d1 * f2 + f1,
+  ];
+}
+
+export function applyMatrix([a, b, c, d, e, f], [x, y]) {
+  return [a * x + c * y + e, b * x + d * y + f];
+}
+
+/**
+ * Whether the matrix only moves, rotates, flips and scales evenly, so
+ * circles stay circles.
+ */
+export function isSimilarity([a, b, c, d]) {
+  const epsilon = 1e-6;
+  return (
+    (Math.abs(a - d) < epsilon && Math.abs(b + c) < epsilon) ||
+    (Math.abs(a + d) < epsilon && Math.abs(b - c) < epsilon)
+  );
+}
+
+/**
+ * @param {string | null} transform
+ * @returns {number[] | null} A matrix, or null if there isn't a transform
+ */
+export function parseTransform(transform) {
+  if (!transform) return null;
+
+  let matrix = identity;
+  const functionRe =
+    /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+
+  for (const [, name, argText] of transform.matchAll(functionRe)) {
+    const args = argText
+      .split(/[\s,]+/)
+      .filter(Boolean)
+      .map(Number);
+    const [x = 0, y] = args;
+    let next;
+
+    switch (name) {
+      case 'matrix': {
+        next = args;
+        break;
+      }
+
+      case 'translate': {
+        next = [1, 0, 0, 1, x, y ?? 0];
+        break;
+      }
+
+      case 'scale': {
+        next = [x, 0, 0, y ?? x, 0, 0];
+        break;
+      }
+
+      case 'rotate': {
+        const angle = (x * Math.PI) / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const [, cx = 0, cy = 0] = args;
+        next = [cos, sin, -sin, cos, 0, 0];
+
+        if (cx || cy) {
+          next = multiplyMatrices(
+            multiplyMatrices([1, 0, 0, 1, cx, cy], next),
+            [1, 0, 0, 1, -cx, -cy],
+          );
+        }
+
+        break;
+      }
+
+      case 'skewX': {
+        next = [1, 0, Math.tan((x * Math.PI) / 180), 1, 0, 0];
+        break;
+      }
+
+      default: {
+        next = [1, Math.tan((x * Math.PI) / 180), 0, 1, 0, 0];
+      }
+    }
+
+    if (next.length !== 6 || next.some((num) => !Number.isFinite(num))) {
+      continue;
+    }
+
+    matrix = multiplyMatrices(matrix, next);
+  }
+
+  return matrix;
+}
+
+let colorContext;
+
+/**
+ * Any CSS colour, as 0–255 channels and a 0–1 alpha. Leaves the parsing to
+ * a canvas, which knows every colour keyword.
+ * @param {string} value
+ * @returns {{ r: number, g: number, b: number, a: number } | null}
+ */
+export function parseColor(value) {
+  if (!colorContext) {
+    colorContext = document.createElement('canvas').getContext('2d');
+  }
+
+  // invalid colours leave fillStyle as it was
+  colorContext.fillStyle = '#000';
+  colorContext.fillStyle = value;
+  const first = colorContext.fillStyle;
+  colorContext.fillStyle = '#fff';
+  colorContext.fillStyle = value;
+  const normalized = colorContext.fillStyle;
+  if (first !== normalized) return null;
+
+  if (normalized.startsWith('#')) {
+    return {
+      r: Number.parseInt(normalized.slice(1, 3), 16),
+      g: Number.parseInt(normalized.slice(3, 5), 16),
+      b: Number.parseInt(normalized.slice(5, 7), 16),
+      a: 1,
+    };
+  }
+
+  const [r, g, b, a = 1] = normalized
+    .slice(normalized.indexOf('(') + 1, -1)
+    .split(',')
+    .map(Number);
+  return { r, g, b, a };
+}
+
+/**
+ * "#AARRGGBB", as Android & XAML both want.
+ * @param {{ r: number, g: number, b: number, a: number }} color
+ * @param {number} [opacity] Multiplies the colour's own alpha
+ */
+export function formatArgb({ r, g, b, a }, opacity = 1) {
+  const alpha = Math.round(Math.min(1, Math.max(0, a * opacity)) * 255);
+  return `#${[alpha, r, g, b]
+    .map((channel) => channel.toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase()}`;
+}
+
+function parseStyleAttribute(element) {
+  const declarations = new Map();
+
+  for (const declaration of (element.getAttribute('style') || '').split(';')) {
+    const colonIndex = declaration.indexOf(':');
+    if (colonIndex === -1) continue;
+
+    const property = declaration.slice(0, colonIndex).trim().toLowerCase();
+    const value = declaration
+      .slice(colonIndex + 1)
+      .replace(/!important/i, '')
+      .trim();
+    if (property && value) declarations.set(property, value);
+  }
+
+  return declarations;
+}
+
+// An element's value for each property, with inline styles beating
+// presentation attributes
+function getStyle(element, inherited) {
+  const declarations = parseStyleAttribute(element);
+  const style = { ...inherited };
+
+  for (const property of [
+    ...Object.keys(inheritedDefaults),
+    ...ownProperties,
+  ]) {
+    const value = declarations.has(property)
+      ? declarations.get(property)
+      : element.getAttribute(property);
+
+    if (value === null || value === undefined) {
+      if (ownProperties.includes(property)) style[property] = undefined;
+      continue;
+    }
+
+    if (value.trim() === 'inherit') continue;
+    style[property] = value.trim();
+  }
+
+  return style;
+}
+
+function getUrlId(value) {
+  const match = /^url\(\s*['"]?#([^'")\s]+)['"]?\s*\)/.exec(value || '');
+  return match ? match[1] : null;
+}
+
+function parseLength(value, reference) {
+  if (value === null || value === undefined) return null;
+  const num = Number.parseFloat(value);
+  if (!Number.isFinite(num)) return null;
+  return value.trim().endsWith('%') ? (num / 100) * reference : num;
+}
+
+function parseOpacity(value) {
+  const num = parseLength(value, 1);
+  return num === null ? 1 : Math.min(1, Math.max(0, num));
+}
+
+function getStops(stopElements) {
+  let previousOffset = 0;
+
+  return stopElements.map((stop) => {
+    const declarations = parseStyleAttribute(stop);
+    const colorValue =
+      declarations.get('stop-color') || stop.getAttribute('stop-color');
+    const opacityValue =
+      declarations.get('stop-opacity') ?? stop.getAttribute('stop-opacity');
+    const color = (colorValue && parseColor(colorValue)) || {
+      r: 0,
+      g: 0,
+      b: 0,
+      a: 1,
+    };
+    // offsets can't go backwards
+    const offset = Math.max(
+      previousOffset,
+      Math.min(1, parseLength(stop.getAttribute('offset'), 1) ?? 0),
+    );
+    previousOffset = offset;
+
+    return {
+      offset,
+      color: { ...color, a: color.a * parseOpacity(opacityValue) },
+    };
+  });
+}
+
+function getGradientGeometry(type, attributes, { width, height }) {
+  if (type === 'linear') {
+    return {
+      x1: parseLength(attributes.x1, width) ?? 0,
+      y1: parseLength(attributes.y1, height) ?? 0,
+      x2: parseLength(attributes.x2, width) ?? width,
+      y2: parseLength(attributes.y2, height) ?? 0,
+    };
+  }
+
+  const diagonal = Math.hypot(width, height) / Math.SQRT2;
+  const cx = parseLength(attributes.cx, width) ?? width / 2;
+  const cy = parseLength(attributes.cy, height) ?? height / 2;
+
+  return {
+    cx,
+    cy,
+    r: parseLength(attributes.r, diagonal) ?? diagonal / 2,
+    fx: parseLength(attributes.fx, width) ?? cx,
+    fy: parseLength(attributes.fy, height) ?? cy,
+  };
+}
+
+/**
+ * A simpler model of the SVG, with only the things drawing formats have in
+ * common: groups with transforms, opacity & clipping, and paths with fills &
+ * strokes. What doesn't fit is reported in `warnings`, rather than being
+ * dropped without a word.
+ * @param {string} svgText
+ */
+export function getDrawing(svgText) {
+  const svg = parseSvg(svgText);
+  const warnings = new Set();
+  const gradients = new Map();
+  const viewBox = getViewBox(svg);
+
+  const findById = (id) => svg.querySelector(`[id="${CSS.escape(id)}"]`);
+
+  if (svg.querySelector('style')) {
+    warnings.add(
+      'Stylesheets (<style>) aren’t supported, only attributes & inline styles were used',
+    );
+  }
+
+  function getGradient(id) {
+    if (gradients.has(id)) return gradients.get(id);
+
+    let element = findById(id);
+    if (!element || !/^(?:linear|radial)Gradient$/.test(element.localName)) {
+      gradients.set(id, null);
+      return null;
+    }
+
+    const type = element.localName === 'linearGradient' ? 'linear' : 'radial';
+    const attributes = {};
+    let stopElements = null;
+    const seen = new Set();
+
+    // gradients can take attributes & stops from the gradient they link to
+    while (element && !seen.has(element)) {
+      seen.add(element);
+
+      for (const { name, value } of element.attributes) {
+        if (!(name in attributes)) attributes[name] = value;
+      }
+
+      const stops = [...element.children].filter(
+        (child) => child.localName === 'stop',
+      );
+      if (!stopElements && stops.length > 0) stopElements = stops;
+
+      const href =
+        element.getAttribute('href') || element.getAttribute('xlink:href');
+      element = href && href.startsWith('#') ? findById(href.slice(1)) : null;
+    }
+
+    const units =
+      attributes.gradientUnits === 'userSpaceOnUse'
+        ? 'userSpaceOnUse'
+        : 'objectBoundingBox';
+    const gradient = {
+      type,
+      units,
+      spread: ['reflect', 'repeat'].includes(attributes.spreadMethod)
+        ? attributes.spreadMethod
+        : 'pad',
+      transform: parseTransform(attributes.gradientTransform),
+      stops: getStops(stopElements || []),
+      // percentages of the bounding box are fractions of it
+      ...getGradientGeometry(
+        type,
+        attributes,
+        units === 'userSpaceOnUse' ? viewBox : { width: 1, height: 1 },
+      ),
+    };
+
+    gradients.set(id, gradient);
+    return gradient;
+  }
+
+  function getPaint(value, style) {
+    if (!value || value === 'none') return null;
+
+    const id = getUrlId(value);
+
+    if (id) {
+      const gradient = getGradient(id);
+
+      if (gradient) {
+        // as in SVG, no stops is no paint, one stop is a plain colour
+        if (gradient.stops.length === 0) return null;
+        if (gradient.stops.length === 1) {
+          return { type: 'color', color: gradient.stops[0].color };
+        }
+
+        return { type: 'gradient', gradient };
+      }
+
+      warnings.add(
+        'Patterns & other non-gradient paints aren’t supported, so their fallback colour was used',
+      );
+      // url(#a) red
+      const fallback = value.slice(value.indexOf(')') + 1).trim();
+      return fallback ? getPaint(fallback, style) : null;
+    }
+
+    if (value.toLowerCase() === 'currentcolor') {
+      if (!style.color) {
+        warnings.add('currentColor isn’t supported, so black was used');
+        return { type: 'color', color: { r: 0, g: 0, b: 0, a: 1 } };
+      }
+
+      return getPaint(style.color, { ...style, color: '' });
+    }
+
+    const color = parseColor(value);
+
+    if (!color) {
+      warnings.add(`Couldn’t read the colour "${value}", so it was left out`);
+      return null;
+    }
+
+    return { type: 'color', color };
+  }
+
+  function getClipPath(value) {
+    const id = getUrlId(value);
+    const clipPath = id && findById(id);
+    if (!clipPath || clipPath.localName !== 'clipPath') return null;
+
+    if (clipPath.getAttribute('clipPathUnits') === 'objectBoundingBox') {
+      warnings.add(
+        'Clip paths sized to the bounding box aren’t supported, so they were ignored',
+      );
+      return null;
+    }
+
+    if (clipPath.hasAttribute('transform')) {
+      warnings.add(
+        'Transformed clip paths aren’t supported, so they were ignored',
+      );
+      return null;
+    }
+
+    const segments = [];
+    let clipRule = 'nonzero';
+
+    for (const child of clipPath.children) {
+      if (!shapeElements.has(child.localName)) {
+        warnings.add(
+          `<${child.localName}> in a clip path isn’t supported, so it was left out`,
+        );
+        continue;
+      }
+
+      if (child.hasAttribute('transform')) {
+        warnings.add(
+          'Transformed shapes in clip paths aren’t supported, so they were left out',
+        );
+        continue;
+      }
+
+      try {
+        segments.push(...getShapeSegments(child));
+      } catch {
+        warnings.add('A clip path with broken path data was left out');
+        continue;
+      }
+
+      clipRule = getStyle(child, inheritedDefaults)['clip-rule'];
+    }
+
+    if (segments.length === 0) return null;
+    return { pathData: serializePathData(segments), clipRule };
+  }
+
+  function convertShape(element, style) {
+    if (style.visibility === 'hidden' || style.visibility === 'collapse') {
+      return null;
+    }
+
+    let segments;
+
+    try {
+      segments = getShapeSegments(element);
+    } catch {
+      warnings.add('A path with broken path data was left out');
+      return null;
+    }
+
+    if (segments.length === 0) return null;
+
+    const fill = getPaint(style.fill, style);
+    const stroke = getPaint(style.stroke, style);
+    const strokeWidth = parseLength(style['stroke-width'], 1) ?? 1;
+    if (!fill && !(stroke && strokeWidth > 0)) return null;
+
+    const pathData = serializePathData(segments);
+    let bbox = null;
+    const dashes =
+      style['stroke-dasharray'] === 'none'
+        ? []
+        : style['stroke-dasharray']
+            .split(/[\s,]+/)
+            .map((dash) => Number.parseFloat(dash))
+            .filter((dash) => Number.isFinite(dash) && dash >= 0);
+
+    return {
+      type: 'path',
+      pathData,
+      fill,
+      fillOpacity: parseOpacity(style['fill-opacity']),
+      fillRule: style['fill-rule'] === 'evenodd' ? 'evenodd' : 'nonzero',
+      stroke: strokeWidth > 0 ? stroke : null,
+      strokeOpacity: parseOpacity(style['stroke-opacity']),
+      strokeWidth,
+      lineCap: style['stroke-linecap'],
+      lineJoin: style['stroke-linejoin'],
+      miterLimit: Number.parseFloat(style['stroke-miterlimit']) || 4,
+      // an odd number of dashes is repeated to make it even
+      dashes: dashes.length % 2 ? [...dashes, ...dashes] : dashes,
+      dashOffset: Number.parseFloat(style['stroke-dashoffset']) || 0,
+      getBBox() {
+        if (!bbox) bbox = measurePath(pathData);
+        return bbox;
+      },
+    };
+  }
+
+  function convertChildren(parent, style, useDepth) {
+    return [...parent.children]
+      .map((child) => convertElement(child, style, useDepth))
+      .filter(Boolean);
+  }
+
+  function convertContent(element, style, useDepth) {
+    const name = element.localName;
+
+    if (shapeElements.has(name)) return convertShape(element, style);
+
+    if (containerElements.has(name)) {
+      if (name === 'svg' && element.hasAttribute('viewBox')) {
+        warnings.add(
+          'Nested <svg> viewBoxes aren’t supported, so they were ignored',
+        );
+      }
+
+      return {
+        type: 'group',
+        children: convertChildren(element, style, useDepth),
+      };
+    }
+
+    if (name === 'use') {
+      const href =
+        element.getAttribute('href') || element.getAttribute('xlink:href');
+      const target = href && href.startsWith('#') && findById(href.slice(1));
+
+      if (!target || target.localName === 'symbol' || useDepth > 8) {
+        warnings.add(
+          'Some <use> elements couldn’t be converted, and were left out',
+        );
+        return null;
+      }
+
+      const child = convertElement(target, style, useDepth + 1);
+      return child && { type: 'group', children: [child] };
+    }
+
+    warnings.add(
+      unsupportedElements.has(name)
+        ? `${unsupportedElements.get(
+            name,
+          )} (<${name}>) isn’t supported, so it was left out`
+        : `<${name}> isn’t supported, so it was left out`,
+    );
+    return null;
+  }
+
+  function convertElement(element, inheritedStyle, useDepth = 0) {
+    const name = element.localName;
+    // other namespaces are editor metadata
+    if (element.namespaceURI !== svgNs || nonRenderedElements.has(name)) {
+      return null;
+    }
+
+    const style = getStyle(element, inheritedStyle);
+    if (style.display === 'none') return null;
+
+    const node = convertContent(element, style, useDepth);
+    if (!node) return null;
+
+    for (const [property, label] of unsupportedProperties) {
+      if (style[property] && style[property] !== 'none') {
+        warnings.add(`${label} aren’t supported, so they were ignored`);
+      }
+    }
+
+    let transform = parseTransform(element.getAttribute('transform'));
+
+    // x & y move the content of nested <svg>s & <use>s
+    if (name === 'svg' || name === 'use') {
+      const offset = [
+        1,
+        0,
+        0,
+        1,
+        parseLength(element.getAttribute('x'), viewBox.width) ?? 0,
+        parseLength(element.getAttribute('y'), viewBox.height) ?? 0,
+      ];
+      transform = transform ? multiplyMatrices(transform, offset) : offset;
+    }
+
+    const opacity = parseOpacity(style.opacity);
+    const clip = style['clip-path'] && getClipPath(style['clip-path']);
+
+    if (!transform && opacity === 1 && !clip) return node;
+
+    const group =
+      node.type === 'group' ? node : { type: 'group', children: [node] };
+    group.transform = transform;
+    group.opacity = opacity;
+    group.clip = clip;
+    return group;
+  }
+
+  const rootStyle = getStyle(svg, inheritedDefaults);
+
+  return {
+    viewBox,
+    ...getSize(svg, viewBox),
+    children: convertChildren(svg, rootStyle),
+    warnings: [...warnings],
+  };
+}
+
+function getViewBox(svg) {
+  const [x, y, width, height] = (svg.getAttribute('viewBox') || '')
+    .split(/[\s,]+/)
+    .map(Number);
+
+  if (width > 0 && height > 0) return { x, y, width, height };
+
+  return {
+    x: 0,
+    y: 0,
+    width: Number.parseFloat(svg.getAttribute('width')) || 24,
+    height: Number.parseFloat(svg.getAttribute('height')) || 24,
+  };
+}
+
+// Pixel sizes are kept, other units fall back to the viewBox size
+function getSize(svg, viewBox) {
+  const sizeRe = /^\s*[\d.]+(?:px)?\s*$/;
+  const width = svg.getAttribute('width');
+  const height = svg.getAttribute('height');
+
+  return {
+    width: sizeRe.test(width) ? Number.parseFloat(width) : viewBox.width,
+    height: sizeRe.test(height) ? Number.parseFloat(height) : viewBox.height,
+  };
+}
+
+// Gradients sized to the bounding box need the box, which only a rendered
+// element can give
+function measurePath(pathData) {
+  const svg = document.createElementNS(svgNs, 'svg');
+  const path = document.createElementNS(svgNs, 'path');
+  svg.setAttribute('aria-hidden', 'true');
+  svg.setAttribute(
+    'style',
+    'position: absolute; width: 0; height: 0; visibility: hidden',
+  );
+  path.setAttribute('d', pathData);
+  svg.append(path);
+  document.body.append(svg);
+
+  try {
+    const { x, y, width, height } = path.getBBox();
+    return { x, y, width, height };
+  } finally {
+    svg.remove();
+  }
+}
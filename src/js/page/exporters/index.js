@@ -0,0 +1,162 @@
+import { exportReact } from './react.js';
+import { exportVue } from './vue.js';
+import { exportSvelte } from './svelte.js';
+import { exportDataUri, exportBase64, exportCss } from './data-uri.js';
+import { exportVectorDrawable } from './vector-drawable.js';
+import { exportXaml } from './xaml.js';
+import { getComponentName, getClassName } from './utils.js';
+
+/**
+ * Formats the optimized SVG can be copied & downloaded as.
+ * `options` lists the export options each format understands, and
+ * `encoded` formats have their size shown alongside the results.
+ * `convert` returns the text, or { text, warnings } if some of the image
+ * couldn't be converted.
+ */
+export const exportFormats = {
+  svg: {
+    name: 'SVG',
+    extension: 'svg',
+    type: 'image/svg+xml',
+    options: [],
+    convert: (svgText) => svgText,
+  },
+  svgz: {
+    name: 'SVGZ (gzipped SVG)',
+    extension: 'svgz',
+    type: 'image/svg+xml',
+    options: [],
+    // downloaded as the gzipped bytes, see SvgFile#compressed
+    gzipped: true,
+    convert: (svgText) => svgText,
+  },
+  'react-tsx': {
+    name: 'React component (TypeScript)',
+    extension: 'tsx',
+    type: 'text/plain',
+    options: ['currentColor', 'titleProp'],
+    component: true,
+    convert: (svgText, options) =>
+      exportReact(svgText, { ...options, typescript: true }),
+  },
+  'react-jsx': {
+    name: 'React component (JavaScript)',
+    extension: 'jsx',
+    type: 'text/plain',
+    options: ['currentColor', 'titleProp'],
+    component: true,
+    convert: (svgText, options) => exportReact(svgText, options),
+  },
+  vue: {
+    name: 'Vue component',
+    extension: 'vue',
+    type: 'text/plain',
+    options: ['currentColor'],
+    component: true,
+    convert: exportVue,
+  },
+  svelte: {
+    name: 'Svelte component',
+    extension: 'svelte',
+    type: 'text/plain',
+    options: ['currentColor'],
+    component: true,
+    convert: exportSvelte,
+  },
+  'data-uri': {
+    name: 'Data URI',
+    extension: 'txt',
+    type: 'text/plain',
+    options: [],
+    encoded: true,
+    convert: exportDataUri,
+  },
+  base64: {
+    name: 'Data URI (base64)',
+    extension: 'txt',
+    type: 'text/plain',
+    options: [],
+    encoded: true,
+    convert: exportBase64,
+  },
+  css: {
+    name: 'CSS background',
+    extension: 'css',
+    type: 'text/css',
+    options: [],
+    encoded: true,
+    convert: exportCss,
+  },
+  'vector-drawable': {
+    name: 'Android VectorDrawable',
+    extension: 'xml',
+    type: 'application/xml',
+    options: [],
+    // Android resource names are lowercase, with underscores
+    getBasename: (filename) => getClassName(filename).replace(/-/g, '_'),
+    convert: exportVectorDrawable,
+  },
+  xaml: {
+    name: 'XAML DrawingImage',
+    extension: 'xaml',
+    type: 'application/xml',
+    options: [],
+    convert: exportXaml,
+  },
+};
+
+export class ExportedFile {
+  constructor(text, filename, type, warnings = []) {
+    this.text = text;
+    /** What's downloaded, which is the text unless it's compressed */
+    this.data = text;
+    this.filename = filename;
+    /** Parts of the image the format couldn't hold */
+    this.warnings = warnings;
+    this._type = type;
+    this._url = null;
+  }
+
+  get url() {
+    if (!this._url) {
+      this._url = URL.createObjectURL(
+        new Blob([this.data], { type: this._type }),
+      );
+    }
+
+    return this._url;
+  }
+
+  release() {
+    if (!this._url) return;
+
+    URL.revokeObjectURL(this._url);
+    this._url = null;
+  }
+}
+
+/**
+ * @param {import('../svg-file.js').default} svgFile
+ * @param {string} filename Name of the input file
+ * @param {{ format: string, options: object }} exportFormat
+ * @returns {ExportedFile}
+ */
+export function exportSvgFile(svgFile, filename, { format, options }) {
+  const { extension, type, component, getBasename, convert } =
+    exportFormats[format];
+  const componentName = getComponentName(filename);
+  const result = convert(svgFile.text, {
+    ...options,
+    componentName,
+    filename,
+  });
+  const { text, warnings } =
+    typeof result === 'string' ? { text: result, warnings: [] } : result;
+  let basename;
+
+  if (component) basename = componentName;
+  else if (getBasename) basename = getBasename(filename);
+  else basename = filename.replace(/\.[^.]*$/, '') || 'image';
+
+  return new ExportedFile(text, `${basename}.${extension}`, type, warnings);
+}
@@ -0,0 +1,237 @@
+// Numbers each path command takes
+const argCounts = {
+  m: 2,
+  l: 2,
+  h: 1,
+  v: 1,
+  c: 6,
+  s: 4,
+  q: 4,
+  t: 2,
+  a: 7,
+  z: 0,
+};
+const numberRe = /[+-]?(?:\d*\.\d+|\d+\.?)(?:e[+-]?\d+)?/iy;
+const separatorRe = /[\s,]*/y;
+
+/**
+ * Splits path data into one segment per command, with repeated commands
+ * made explicit. Arc flags can be written without separators, like "a1 1 0
+ * 011 1", which is what other formats' parsers tend to trip on.
+ * @param {string} d
+ * @returns {Array<{ command: string, args: number[] }>}
+ */
+export function parsePathData(d) {
+  const segments = [];
+  let index = 0;
+  let command = null;
+
+  const skipSeparators = () => {
+    separatorRe.lastIndex = index;
+    separatorRe.exec(d);
+    index = separatorRe.lastIndex;
+  };
+
+  const readNumber = () => {
+    numberRe.lastIndex = index;
+    const match = numberRe.exec(d);
+    if (!match) throw new Error(`Expected a number at ${index}`);
+    index = numberRe.lastIndex;
+    return Number(match[0]);
+  };
+
+  const readFlag = () => {
+    const char = d[index];
+    if (char !== '0' && char !== '1') {
+      throw new Error(`Expected an arc flag at ${index}`);
+    }
+
+    index++;
+    return Number(char);
+  };
+
+  skipSeparators();
+
+  while (index < d.length) {
+    const char = d[index];
+
+    if (/[a-z]/i.test(char)) {
+      if (!(char.toLowerCase() in argCounts)) {
+        throw new Error(`Unknown path command "${char}"`);
+      }
+
+      command = char;
+      index++;
+    } else if (!command || command.toLowerCase() === 'z') {
+      throw new Error(`Expected a command at ${index}`);
+    }
+
+    const type = command.toLowerCase();
+    const args = [];
+
+    for (let i = 0; i < argCounts[type]; i++) {
+      skipSeparators();
+      args.push(
+        type === 'a' && (i === 3 || i === 4) ? readFlag() : readNumber(),
+      );
+    }
+
+    segments.push({ command, args });
+    // numbers after a moveto are linetos
+    if (command === 'M') command = 'L';
+    else if (command === 'm') command = 'l';
+    skipSeparators();
+  }
+
+  // a leading relative moveto is absolute, make it so in case this path is
+  // joined onto another
+  if (segments.length > 0 && segments[0].command === 'm') {
+    segments[0].command = 'M';
+  }
+
+  return segments;
+}
+
+export function formatNumber(num) {
+  return String(Math.round(num * 10_000) / 10_000);
+}
+
+/**
+ * @param {Array<{ command: string, args: number[] }>} segments
+ */
+export function serializePathData(segments) {
+  return segments
+    .map(
+      ({ command, args }) =>
+        command + args.map((arg) => formatNumber(arg)).join(' '),
+    )
+    .join(' ');
+}
+
+function getLength(element, name) {
+  return Number.parseFloat(element.getAttribute(name)) || 0;
+}
+
+function getPoints(element) {
+  const numbers = (element.getAttribute('points') || '')
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(Number);
+  const points = [];
+
+  for (let i = 0; i + 1 < numbers.length; i += 2) {
+    points.push([numbers[i], numbers[i + 1]]);
+  }
+
+  return points;
+}
+
+function getRectSegments(element) {
+  const x = getLength(element, 'x');
+  const y = getLength(element, 'y');
+  const width = getLength(element, 'width');
+  const height = getLength(element, 'height');
+  if (width <= 0 || height <= 0) return [];
+
+  // a missing radius takes the other one
+  let rx = element.hasAttribute('rx') ? getLength(element, 'rx') : null;
+  let ry = element.hasAttribute('ry') ? getLength(element, 'ry') : null;
+  rx = Math.min(rx ?? ry ?? 0, width / 2);
+  ry = Math.min(ry ?? rx, height / 2);
+
+  if (!rx || !ry) {
+    return [
+      { command: 'M', args: [x, y] },
+      { command: 'H', args: [x + width] },
+      { command: 'V', args: [y + height] },
+      { command: 'H', args: [x] },
+      { command: 'Z', args: [] },
+    ];
+  }
+
+  return [
+    { command: 'M', args: [x + rx, y] },
+    { command: 'H', args: [x + width - rx] },
+    { command: 'A', args: [rx, ry, 0, 0, 1, x + width, y + ry] },
+    { command: 'V', args: [y + height - ry] },
+    { command: 'A', args: [rx, ry, 0, 0, 1, x + width - rx, y + height] },
+    { command: 'H', args: [x + rx] },
+    { command: 'A', args: [rx, ry, 0, 0, 1, x, y + height - ry] },
+    { command: 'V', args: [y + ry] },
+    { command: 'A', args: [rx, ry, 0, 0, 1, x + rx, y] },
+    { command: 'Z', args: [] },
+  ];
+}
+
+/**
+ * The path data equivalent of a path or basic shape.
+ * @param {Element} element
+ * @returns {Array<{ command: string, args: number[] }>}
+ */
+export function getShapeSegments(element) {
+  switch (element.localName) {
+    case 'path': {
+      return parsePathData(element.getAttribute('d') || '');
+    }
+
+    case 'rect': {
+      return getRectSegments(element);
+    }
+
+    case 'circle':
+    case 'ellipse': {
+      const cx = getLength(element, 'cx');
+      const cy = getLength(element, 'cy');
+      const rx = getLength(
+        element,
+        element.localName === 'circle' ? 'r' : 'rx',
+      );
+      const ry = getLength(
+        element,
+        element.localName === 'circle' ? 'r' : 'ry',
+      );
+      if (rx <= 0 || ry <= 0) return [];
+
+      return [
+        { command: 'M', args: [cx - rx, cy] },
+        { command: 'A', args: [rx, ry, 0, 1, 0, cx + rx, cy] },
+        { command: 'A', args: [rx, ry, 0, 1, 0, cx - rx, cy] },
+        { command: 'Z', args: [] },
+      ];
+    }
+
+    case 'line': {
+      return [
+        {
+          command: 'M',
+          args: [getLength(element, 'x1'), getLength(element, 'y1')],
+        },
+        {
+          command: 'L',
+          args: [getLength(element, 'x2'), getLength(element, 'y2')],
+        },
+      ];
+    }
+
+    case 'polyline':
+    case 'polygon': {
+      const points = getPoints(element);
+      if (points.length === 0) return [];
+
+      const segments = points.map((point, index) => ({
+        command: index === 0 ? 'M' : 'L',
+        args: point,
+      }));
+
+      if (element.localName === 'polygon') {
+        segments.push({ command: 'Z', args: [] });
+      }
+
+      return segments;
+    }
+
+    default: {
+      return [];
+    }
+  }
+}
@@ -0,0 +1,176 @@
+import { parseSvg, useCurrentColor } from './utils.js';
+
+const indentUnit = '  ';
+
+// Attributes whose React name isn't just the camelCased one
+const attributeNames = new Map([
+  ['class', 'className'],
+  ['for', 'htmlFor'],
+  ['tabindex', 'tabIndex'],
+]);
+
+function camelCase(str) {
+  return str.replace(/[-:]([a-z])/g, (match, char) => char.toUpperCase());
+}
+
+function getAttributeName(name) {
+  if (attributeNames.has(name)) return attributeNames.get(name);
+  // React passes these through as they are
+  if (name.startsWith('data-') || name.startsWith('aria-')) return name;
+  return camelCase(name);
+}
+
+// JSX strings can't hold every character, expressions can
+function formatValue(value) {
+  return /["&{}<>\\]/.test(value) ? `{${JSON.stringify(value)}}` : `"${value}"`;
+}
+
+// "fill-opacity: 0.5; --x: 1" -> {{ fillOpacity: '0.5', '--x': '1' }}
+function formatStyle(style) {
+  const properties = [];
+
+  for (const declaration of style.split(';')) {
+    const colonIndex = declaration.indexOf(':');
+    if (colonIndex === -1) continue;
+
+    const property = declaration.slice(0, colonIndex).trim();
+    const value = declaration.slice(colonIndex + 1).trim();
+    if (!property || !value) continue;
+
+    const key = property.startsWith('--')
+      ? `'${property}'`
+      : camelCase(property.toLowerCase());
+    properties.push(`${key}: ${JSON.stringify(value)}`);
+  }
+
+  return `{{ ${properties.join(', ')} }}`;
+}
+
+function formatAttributes(element) {
+  return [...element.attributes].map(({ name, value }) =>
+    name === 'style'
+      ? `style=${formatStyle(value)}`
+      : `${getAttributeName(name)}=${formatValue(value)}`,
+  );
+}
+
+function formatText(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return '';
+  return /[{}<>&]/.test(trimmed) ? `{${JSON.stringify(trimmed)}}` : trimmed;
+}
+
+function formatChildren(element, indent) {
+  const lines = [];
+
+  for (const node of element.childNodes) {
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      lines.push(...formatElement(node, indent));
+    } else if (
+      node.nodeType === Node.TEXT_NODE ||
+      node.nodeType === Node.CDATA_SECTION_NODE
+    ) {
+      // stylesheets need their whitespace & braces kept as they are
+      const text =
+        element.localName === 'style'
+          ? `{${JSON.stringify(node.data)}}`
+          : formatText(node.data);
+      if (text) lines.push(indent + text);
+    }
+  }
+
+  return lines;
+}
+
+function formatElement(
+  element,
+  indent,
+  { extraAttributes = [], extraChildren = [] } = {},
+) {
+  const tag = element.localName;
+  const attributes = [...formatAttributes(element), ...extraAttributes];
+  const openTag = [tag, ...attributes].join(' ');
+  const children = [
+    ...extraChildren.map((child) => indent + indentUnit + child),
+    ...formatChildren(element, indent + indentUnit),
+  ];
+
+  if (children.length === 0) return [`${indent}<${openTag} />`];
+
+  return [`${indent}<${openTag}>`, ...children, `${indent}</${tag}>`];
+}
+
+/**
+ * Optimized markup as a JSX element, to go back where it came from.
+ * @param {string} svgText
+ * @param {string} indent The indent of the line the element starts on
+ */
+export function formatJsx(svgText, indent = '') {
+  const svg = parseSvg(svgText);
+
+  svg.removeAttribute('xmlns');
+  svg.removeAttribute('xmlns:xlink');
+
+  const [openTag, ...rest] = formatElement(svg, indent);
+  return [openTag.trimStart(), ...rest].join('\n');
+}
+
+/**
+ * Turns optimized markup into a React component module.
+ * @param {string} svgText
+ * @param {{ componentName: string, typescript?: boolean, currentColor?: boolean, titleProp?: boolean }} options
+ */
+export function exportReact(
+  svgText,
+  {
+    componentName,
+    typescript = false,
+    currentColor = false,
+    titleProp = false,
+  },
+) {
+  const svg = parseSvg(svgText);
+
+  if (currentColor) useCurrentColor(svg);
+
+  // React sets these itself
+  svg.removeAttribute('xmlns');
+  svg.removeAttribute('xmlns:xlink');
+
+  const jsx = formatElement(svg, indentUnit, {
+    extraAttributes: ['{...props}'],
+    extraChildren: titleProp ? ['{title ? <title>{title}</title> : null}'] : [],
+  });
+
+  const lines = [];
+  let params = 'props';
+
+  if (typescript) {
+    lines.push("import type { SVGProps } from 'react';", '');
+
+    if (titleProp) {
+      lines.push(
+        'interface Props extends SVGProps<SVGSVGElement> {',
+        '  title?: string;',
+        '}',
+        '',
+      );
+      params = '{ title, ...props }: Props';
+    } else {
+      params = 'props: SVGProps<SVGSVGElement>';
+    }
+  } else if (titleProp) {
+    params = '{ title, ...props }';
+  }
+
+  lines.push(
+    `const ${componentName} = (${params}) => (`,
+    ...jsx,
+    ');',
+    '',
+    `export default ${componentName};`,
+    '',
+  );
+
+  return lines.join('\n');
+}
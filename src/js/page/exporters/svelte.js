@@ -0,0 +1,46 @@
+import {
+  parseSvg,
+  useCurrentColor,
+  getDefaultSize,
+  formatTemplate,
+} from './utils.js';
+
+// Svelte would read braces in the CSS as expressions, so it goes in as a string
+function formatStyleElement(element, indent) {
+  const html = `<style>${element.textContent}</style>`;
+  return [`${indent}{@html ${JSON.stringify(html)}}`];
+}
+
+/**
+ * Turns optimized markup into a Svelte component, with a size prop, and a
+ * color prop if colours are replaced with currentColor.
+ * @param {string} svgText
+ * @param {{ currentColor?: boolean }} options
+ */
+export function exportSvelte(svgText, { currentColor = false }) {
+  const svg = parseSvg(svgText);
+  const size = getDefaultSize(svg);
+  const rootAttributes = ['width={size}', 'height={size}'];
+  const props = [`  export let size = ${JSON.stringify(size)};`];
+
+  if (currentColor) {
+    useCurrentColor(svg);
+    rootAttributes.push('style:color={color}');
+    props.push("  export let color = 'currentColor';");
+  }
+
+  // other attributes can be passed straight through to the <svg>
+  rootAttributes.push('{...$$restProps}');
+
+  svg.removeAttribute('width');
+  svg.removeAttribute('height');
+
+  return [
+    '<script>',
+    ...props,
+    '</script>',
+    '',
+    ...formatTemplate(svg, '', { rootAttributes, formatStyleElement }),
+    '',
+  ].join('\n');
+}
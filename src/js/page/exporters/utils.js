@@ -0,0 +1,146 @@
+/**
+ * @param {string} svgText
+ * @returns {SVGSVGElement}
+ */
+export function parseSvg(svgText) {
+  const doc = new DOMParser().parseFromString(svgText, 'image/svg+xml');
+  const parserError = doc.querySelector('parsererror');
+
+  if (parserError) {
+    throw new Error(`Couldn't parse SVG: ${parserError.textContent}`);
+  }
+
+  return doc.documentElement;
+}
+
+// Values that aren't a plain colour, so theming them would change the image
+const nonColorPaintRe = /^(?:none|currentcolor|inherit|url\(.*\))$/i;
+
+/**
+ * Replaces fill & stroke colours with currentColor, in attributes and
+ * inline styles, so the image takes on the text colour around it.
+ * @param {Element} root
+ */
+export function useCurrentColor(root) {
+  for (const element of [root, ...root.querySelectorAll('*')]) {
+    for (const name of ['fill', 'stroke']) {
+      const value = element.getAttribute(name);
+
+      if (value && !nonColorPaintRe.test(value.trim())) {
+        element.setAttribute(name, 'currentColor');
+      }
+
+      const styleValue = element.style && element.style.getPropertyValue(name);
+
+      if (styleValue && !nonColorPaintRe.test(styleValue.trim())) {
+        element.style.setProperty(name, 'currentColor');
+      }
+    }
+  }
+}
+
+/**
+ * "arrow-left.svg" -> "ArrowLeft"
+ * @param {string} filename
+ */
+export function getComponentName(filename) {
+  const name = filename
+    .replace(/\.[^.]*$/, '')
+    .split(/[^a-z\d]+/i)
+    .filter(Boolean)
+    .map((part) => part[0].toUpperCase() + part.slice(1))
+    .join('');
+
+  if (!name) return 'Icon';
+  return /^\d/.test(name) ? `Svg${name}` : name;
+}
+
+/**
+ * The size of the image, for a component's default size prop.
+ * @param {SVGSVGElement} svg
+ * @returns {number | string}
+ */
+export function getDefaultSize(svg) {
+  const height = svg.getAttribute('height');
+
+  if (height) {
+    return /^[\d.]+(?:px)?$/.test(height) ? Number.parseFloat(height) : height;
+  }
+
+  const viewBox = (svg.getAttribute('viewBox') || '').split(/[\s,]+/);
+  return Number.parseFloat(viewBox[3]) || 24;
+}
+
+const templateEntities = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  // component templates read braces as the start of an expression
+  '{': '&#123;',
+  '}': '&#125;',
+};
+
+function escapeTemplate(str) {
+  return str.replace(/[&<>"{}]/g, (char) => templateEntities[char]);
+}
+
+/**
+ * Pretty-prints an element as component template markup, escaping text
+ * & attribute values so they can't be read as expressions.
+ * @param {Element} element
+ * @param {string} indent
+ * @param {{ rootAttributes?: string[], formatStyleElement: (element: Element, indent: string) => string[] }} options
+ * @returns {string[]} Lines of markup
+ */
+export function formatTemplate(
+  element,
+  indent,
+  { rootAttributes = [], formatStyleElement },
+) {
+  if (element.localName === 'style') return formatStyleElement(element, indent);
+
+  const tag = element.tagName;
+  const attributes = [
+    ...[...element.attributes].map(
+      ({ name, value }) => `${name}="${escapeTemplate(value)}"`,
+    ),
+    ...rootAttributes,
+  ];
+  const openTag = [tag, ...attributes].join(' ');
+  const children = [];
+
+  for (const node of element.childNodes) {
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      children.push(
+        ...formatTemplate(node, `${indent}  `, { formatStyleElement }),
+      );
+    } else if (
+      node.nodeType === Node.TEXT_NODE ||
+      node.nodeType === Node.CDATA_SECTION_NODE
+    ) {
+      const text = node.data.trim();
+      if (text) children.push(`${indent}  ${escapeTemplate(text)}`);
+    }
+  }
+
+  if (children.length === 0) return [`${indent}<${openTag} />`];
+
+  return [`${indent}<${openTag}>`, ...children, `${indent}</${tag}>`];
+}
+
+/**
+ * "Arrow Left.svg" -> "arrow-left"
+ * @param {string} filename
+ */
+export function getClassName(filename) {
+  const name = filename
+    .replace(/\.[^.]*$/, '')
+    .toLowerCase()
+    .split(/[^a-z\d]+/)
+    .filter(Boolean)
+    .join('-');
+
+  if (!name) return 'icon';
+  return /^\d/.test(name) ? `icon-${name}` : name;
+}
@@ -0,0 +1,308 @@
+import { escapeHTML } from '../utils.js';
+import {
+  getDrawing,
+  formatArgb,
+  multiplyMatrices,
+  applyMatrix,
+  isSimilarity,
+} from './drawing.js';
+import { formatNumber } from './path-data.js';
+
+const indentUnit = '    ';
+
+const lineCaps = { butt: 'butt', round: 'round', square: 'square' };
+const lineJoins = { miter: 'miter', round: 'round', bevel: 'bevel' };
+const tileModes = { pad: 'clamp', reflect: 'mirror', repeat: 'repeat' };
+
+// Android puts each attribute on its own line
+function formatElement(tag, attributes, children, indent) {
+  const attributeLines = attributes
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(
+      ([name, value]) =>
+        `${indent}${indentUnit}${name}="${escapeHTML(String(value))}"`,
+    );
+  const open = [`${indent}<${tag}`, ...attributeLines];
+
+  if (children.length === 0) {
+    open[open.length - 1] += ' />';
+    return open;
+  }
+
+  open[open.length - 1] += '>';
+  return [...open, ...children, `${indent}</${tag}>`];
+}
+
+/**
+ * Groups can translate, rotate & scale, but not skew, so matrices are split
+ * into those.
+ */
+function decomposeMatrix([a, b, c, d, e, f]) {
+  const scaleX = Math.hypot(a, b);
+  const scaleY = scaleX ? (a * d - b * c) / scaleX : Math.hypot(c, d);
+  const skewed = scaleX && Math.abs(a * c + b * d) > 1e-6 * scaleX * scaleX;
+
+  return {
+    translateX: e,
+    translateY: f,
+    rotation: scaleX ? (Math.atan2(b, a) * 180) / Math.PI : 0,
+    scaleX,
+    scaleY,
+    skewed,
+  };
+}
+
+function formatOptional(num, defaultValue) {
+  return Math.abs(num - defaultValue) < 1e-6 ? null : formatNumber(num);
+}
+
+function formatGradient(gradient, { path, attributeName, indent, warnings }) {
+  let matrix = gradient.transform || [1, 0, 0, 1, 0, 0];
+
+  if (gradient.units === 'objectBoundingBox') {
+    const { x, y, width, height } = path.getBBox();
+    matrix = multiplyMatrices([width, 0, 0, height, x, y], matrix);
+  }
+
+  if (!isSimilarity(matrix)) {
+    warnings.add(
+      'Stretched or skewed gradients aren’t supported, so they were approximated',
+    );
+  }
+
+  const attributes = [['android:type', gradient.type]];
+
+  if (gradient.type === 'linear') {
+    const [startX, startY] = applyMatrix(matrix, [gradient.x1, gradient.y1]);
+    const [endX, endY] = applyMatrix(matrix, [gradient.x2, gradient.y2]);
+    attributes.push(
+      ['android:startX', formatNumber(startX)],
+      ['android:startY', formatNumber(startY)],
+      ['android:endX', formatNumber(endX)],
+      ['android:endY', formatNumber(endY)],
+    );
+  } else {
+    if (gradient.fx !== gradient.cx || gradient.fy !== gradient.cy) {
+      warnings.add(
+        'Radial gradient focal points aren’t supported, so they were ignored',
+      );
+    }
+
+    const [centerX, centerY] = applyMatrix(matrix, [gradient.cx, gradient.cy]);
+    const [a, b, c, d] = matrix;
+    attributes.push(
+      ['android:centerX', formatNumber(centerX)],
+      ['android:centerY', formatNumber(centerY)],
+      [
+        'android:gradientRadius',
+        formatNumber(gradient.r * Math.sqrt(Math.abs(a * d - b * c))),
+      ],
+    );
+  }
+
+  attributes.push(['android:tileMode', tileModes[gradient.spread]]);
+
+  const items = gradient.stops.flatMap(({ offset, color }) =>
+    formatElement(
+      'item',
+      [
+        ['android:offset', formatNumber(offset)],
+        ['android:color', formatArgb(color)],
+      ],
+      [],
+      indent + indentUnit + indentUnit,
+    ),
+  );
+
+  return formatElement(
+    'aapt:attr',
+    [['name', attributeName]],
+    formatElement('gradient', attributes, items, indent + indentUnit),
+    indent,
+  );
+}
+
+/**
+ * Converts the paint to an attribute, or a child element for gradients.
+ */
+function addPaint(paint, { name, path }, { attributes, children }, context) {
+  if (paint.type === 'color') {
+    attributes.push([name, formatArgb(paint.color)]);
+    return;
+  }
+
+  context.usesGradients = true;
+  children.push(
+    ...formatGradient(paint.gradient, {
+      path,
+      attributeName: name,
+      indent: context.indent + indentUnit,
+      warnings: context.warnings,
+    }),
+  );
+}
+
+function formatPath(path, indent, alpha, context) {
+  const element = {
+    attributes: [['android:pathData', path.pathData]],
+    children: [],
+  };
+  context.indent = indent;
+
+  if (path.fill) {
+    addPaint(path.fill, { name: 'android:fillColor', path }, element, context);
+    element.attributes.push(
+      ['android:fillAlpha', formatOptional(path.fillOpacity * alpha, 1)],
+      ['android:fillType', path.fillRule === 'evenodd' ? 'evenOdd' : null],
+    );
+  }
+
+  if (path.stroke) {
+    addPaint(
+      path.stroke,
+      { name: 'android:strokeColor', path },
+      element,
+      context,
+    );
+    element.attributes.push(
+      ['android:strokeWidth', formatNumber(path.strokeWidth)],
+      ['android:strokeAlpha', formatOptional(path.strokeOpacity * alpha, 1)],
+      [
+        'android:strokeLineCap',
+        path.lineCap === 'butt' ? null : lineCaps[path.lineCap],
+      ],
+      [
+        'android:strokeLineJoin',
+        path.lineJoin === 'miter' ? null : lineJoins[path.lineJoin],
+      ],
+      ['android:strokeMiterLimit', formatOptional(path.miterLimit, 4)],
+    );
+
+    if (path.dashes.some(Boolean)) {
+      context.warnings.add(
+        'Dashed strokes aren’t supported, so they were drawn solid',
+      );
+    }
+  }
+
+  return formatElement('path', element.attributes, element.children, indent);
+}
+
+function formatNodes(nodes, indent, alpha, context) {
+  return nodes.flatMap((node) =>
+    node.type === 'path'
+      ? formatPath(node, indent, alpha, context)
+      : formatGroup(node, indent, alpha, context),
+  );
+}
+
+function formatGroup(group, indent, alpha, context) {
+  const attributes = [];
+  const children = [];
+
+  if (group.transform) {
+    const transform = decomposeMatrix(group.transform);
+
+    if (transform.skewed) {
+      context.warnings.add(
+        'Skewed transforms aren’t supported, so they were approximated',
+      );
+    }
+
+    attributes.push(
+      ['android:rotation', formatOptional(transform.rotation, 0)],
+      ['android:scaleX', formatOptional(transform.scaleX, 1)],
+      ['android:scaleY', formatOptional(transform.scaleY, 1)],
+      ['android:translateX', formatOptional(transform.translateX, 0)],
+      ['android:translateY', formatOptional(transform.translateY, 0)],
+    );
+  }
+
+  // groups have no opacity, so it's passed on to what they contain
+  const groupAlpha = alpha * (group.opacity ?? 1);
+  const [firstChild] = group.children;
+
+  if (
+    group.opacity < 1 &&
+    (group.children.length > 1 || firstChild?.type === 'group')
+  ) {
+    context.warnings.add(
+      'Group opacity isn’t supported, so it was applied to each shape, which differs where they overlap',
+    );
+  }
+
+  // an untransformed, unclipped group adds nothing
+  if (attributes.every(([, value]) => value === null) && !group.clip) {
+    return formatNodes(group.children, indent, groupAlpha, context);
+  }
+
+  if (group.clip) {
+    if (group.clip.clipRule === 'evenodd') {
+      context.warnings.add(
+        'Even-odd clip rules aren’t supported, so nonzero was used',
+      );
+    }
+
+    children.push(
+      ...formatElement(
+        'clip-path',
+        [['android:pathData', group.clip.pathData]],
+        [],
+        indent + indentUnit,
+      ),
+    );
+  }
+
+  const content = formatNodes(
+    group.children,
+    indent + indentUnit,
+    groupAlpha,
+    context,
+  );
+  if (content.length === 0) return [];
+
+  children.push(...content);
+  return formatElement('group', attributes, children, indent);
+}
+
+/**
+ * Turns optimized markup into an Android VectorDrawable.
+ * @param {string} svgText
+ * @returns {{ text: string, warnings: string[] }}
+ */
+export function exportVectorDrawable(svgText) {
+  const drawing = getDrawing(svgText);
+  const context = { warnings: new Set(drawing.warnings), usesGradients: false };
+  const { viewBox } = drawing;
+  const root = {
+    type: 'group',
+    children: drawing.children,
+    transform:
+      viewBox.x || viewBox.y ? [1, 0, 0, 1, -viewBox.x, -viewBox.y] : null,
+  };
+  const content = formatGroup(root, '', 1, context);
+
+  const attributes = [
+    ['xmlns:android', 'http://schemas.android.com/apk/res/android'],
+    [
+      'xmlns:aapt',
+      context.usesGradients ? 'http://schemas.android.com/aapt' : null,
+    ],
+    ['android:width', `${formatNumber(drawing.width)}dp`],
+    ['android:height', `${formatNumber(drawing.height)}dp`],
+    ['android:viewportWidth', formatNumber(viewBox.width)],
+    ['android:viewportHeight', formatNumber(viewBox.height)],
+  ];
+
+  // nested elements are indented from the root's level
+  const children = content.map((line) => indentUnit + line);
+
+  return {
+    text: [
+      '<?xml version="1.0" encoding="utf-8"?>',
+      ...formatElement('vector', attributes, children, ''),
+      '',
+    ].join('\n'),
+    warnings: [...context.warnings],
+  };
+}
@@ -0,0 +1,52 @@
+import {
+  parseSvg,
+  useCurrentColor,
+  getDefaultSize,
+  formatTemplate,
+} from './utils.js';
+
+// Vue drops <style> from templates, but not from a dynamic component.
+// v-text keeps braces in the CSS from being read as an interpolation.
+function formatStyleElement(element, indent) {
+  const css = JSON.stringify(element.textContent)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;');
+  return [`${indent}<component is="style" v-text="${css}" />`];
+}
+
+/**
+ * Turns optimized markup into a Vue single-file component, with a size
+ * prop, and a color prop if colours are replaced with currentColor.
+ * @param {string} svgText
+ * @param {{ currentColor?: boolean }} options
+ */
+export function exportVue(svgText, { currentColor = false }) {
+  const svg = parseSvg(svgText);
+  const size = getDefaultSize(svg);
+  const rootAttributes = [':width="size"', ':height="size"'];
+  const props = [
+    `  size: { type: [Number, String], default: ${JSON.stringify(size)} },`,
+  ];
+
+  if (currentColor) {
+    useCurrentColor(svg);
+    rootAttributes.push(':style="{ color }"');
+    props.push("  color: { type: String, default: 'currentColor' },");
+  }
+
+  svg.removeAttribute('width');
+  svg.removeAttribute('height');
+
+  return [
+    '<script setup>',
+    'defineProps({',
+    ...props,
+    '});',
+    '</script>',
+    '',
+    '<template>',
+    ...formatTemplate(svg, '  ', { rootAttributes, formatStyleElement }),
+    '</template>',
+    '',
+  ].join('\n');
+}
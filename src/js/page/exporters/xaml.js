@@ -0,0 +1,283 @@
+import { escapeHTML } from '../utils.js';
+import { getDrawing, formatArgb } from './drawing.js';
+import { formatNumber } from './path-data.js';
+
+const indentUnit = '  ';
+
+const lineCaps = { butt: 'Flat', round: 'Round', square: 'Square' };
+const lineJoins = { miter: 'Miter', round: 'Round', bevel: 'Bevel' };
+const spreadMethods = { pad: 'Pad', reflect: 'Reflect', repeat: 'Repeat' };
+
+function formatElement(tag, attributes, children, indent) {
+  const openTag = [
+    tag,
+    ...attributes
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([name, value]) => `${name}="${escapeHTML(String(value))}"`),
+  ].join(' ');
+
+  if (children.length === 0) return [`${indent}<${openTag} />`];
+  return [`${indent}<${openTag}>`, ...children, `${indent}</${tag}>`];
+}
+
+function formatPoint(x, y) {
+  return `${formatNumber(x)},${formatNumber(y)}`;
+}
+
+function formatMatrixTransform(property, matrix, indent) {
+  return formatElement(
+    property,
+    [],
+    formatElement(
+      'MatrixTransform',
+      [['Matrix', matrix.map((num) => formatNumber(num)).join(',')]],
+      [],
+      indent + indentUnit,
+    ),
+    indent,
+  );
+}
+
+// Geometry defaults to even-odd, so the rule is always given
+function formatGeometry(pathData, fillRule) {
+  return `${fillRule === 'evenodd' ? 'F0' : 'F1'} ${pathData}`;
+}
+
+function formatGradient(gradient, opacity, indent) {
+  const relative = gradient.units === 'objectBoundingBox';
+  const attributes =
+    gradient.type === 'linear'
+      ? [
+          ['StartPoint', formatPoint(gradient.x1, gradient.y1)],
+          ['EndPoint', formatPoint(gradient.x2, gradient.y2)],
+        ]
+      : [
+          ['Center', formatPoint(gradient.cx, gradient.cy)],
+          ['GradientOrigin', formatPoint(gradient.fx, gradient.fy)],
+          ['RadiusX', formatNumber(gradient.r)],
+          ['RadiusY', formatNumber(gradient.r)],
+        ];
+  const tag =
+    gradient.type === 'linear' ? 'LinearGradientBrush' : 'RadialGradientBrush';
+
+  attributes.push(
+    ['MappingMode', relative ? 'RelativeToBoundingBox' : 'Absolute'],
+    ['SpreadMethod', spreadMethods[gradient.spread]],
+    ['Opacity', opacity < 1 ? formatNumber(opacity) : null],
+  );
+
+  const children = gradient.stops.flatMap(({ offset, color }) =>
+    formatElement(
+      'GradientStop',
+      [
+        ['Color', formatArgb(color)],
+        ['Offset', formatNumber(offset)],
+      ],
+      [],
+      indent + indentUnit,
+    ),
+  );
+
+  // gradientTransform works in the same space as the gradient's units
+  if (gradient.transform) {
+    children.unshift(
+      ...formatMatrixTransform(
+        `${tag}.${relative ? 'RelativeTransform' : 'Transform'}`,
+        gradient.transform,
+        indent + indentUnit,
+      ),
+    );
+  }
+
+  return formatElement(tag, attributes, children, indent);
+}
+
+/**
+ * Colours go in an attribute, gradients in a property element.
+ */
+function addBrush(
+  paint,
+  { opacity, property, indent },
+  { attributes, children },
+) {
+  if (paint.type === 'color') {
+    attributes.push(['Brush', formatArgb(paint.color, opacity)]);
+    return;
+  }
+
+  children.push(
+    ...formatElement(
+      property,
+      [],
+      formatGradient(paint.gradient, opacity, indent + indentUnit),
+      indent,
+    ),
+  );
+}
+
+function formatPen(path, indent) {
+  const pen = {
+    attributes: [],
+    children: [],
+  };
+  const lineCap = lineCaps[path.lineCap] || 'Flat';
+
+  addBrush(
+    path.stroke,
+    {
+      opacity: path.strokeOpacity,
+      property: 'Pen.Brush',
+      indent: indent + indentUnit,
+    },
+    pen,
+  );
+  pen.attributes.push(
+    ['Thickness', formatNumber(path.strokeWidth)],
+    ['StartLineCap', lineCap],
+    ['EndLineCap', lineCap],
+    ['LineJoin', lineJoins[path.lineJoin] || 'Miter'],
+    ['MiterLimit', formatNumber(path.miterLimit)],
+  );
+
+  // dashes are measured in stroke widths
+  if (path.dashes.some(Boolean)) {
+    pen.attributes.push(['DashCap', lineCap]);
+    pen.children.push(
+      ...formatElement(
+        'Pen.DashStyle',
+        [],
+        formatElement(
+          'DashStyle',
+          [
+            [
+              'Dashes',
+              path.dashes
+                .map((dash) => formatNumber(dash / path.strokeWidth))
+                .join(' '),
+            ],
+            ['Offset', formatNumber(path.dashOffset / path.strokeWidth)],
+          ],
+          [],
+          indent + indentUnit + indentUnit,
+        ),
+        indent + indentUnit,
+      ),
+    );
+  }
+
+  return formatElement('Pen', pen.attributes, pen.children, indent);
+}
+
+function formatPath(path, indent) {
+  const drawing = {
+    attributes: [],
+    children: [],
+  };
+
+  if (path.fill) {
+    addBrush(
+      path.fill,
+      {
+        opacity: path.fillOpacity,
+        property: 'GeometryDrawing.Brush',
+        indent: indent + indentUnit,
+      },
+      drawing,
+    );
+  }
+
+  drawing.attributes.push([
+    'Geometry',
+    formatGeometry(path.pathData, path.fillRule),
+  ]);
+
+  if (path.stroke) {
+    drawing.children.push(
+      ...formatElement(
+        'GeometryDrawing.Pen',
+        [],
+        formatPen(path, indent + indentUnit + indentUnit),
+        indent + indentUnit,
+      ),
+    );
+  }
+
+  return formatElement(
+    'GeometryDrawing',
+    drawing.attributes,
+    drawing.children,
+    indent,
+  );
+}
+
+function formatNodes(nodes, indent) {
+  return nodes.flatMap((node) =>
+    node.type === 'path' ? formatPath(node, indent) : formatGroup(node, indent),
+  );
+}
+
+function formatGroup(group, indent) {
+  const content = formatNodes(group.children, indent + indentUnit);
+  if (content.length === 0) return [];
+
+  const attributes = [
+    ['Opacity', group.opacity < 1 ? formatNumber(group.opacity) : null],
+    [
+      'ClipGeometry',
+      group.clip
+        ? formatGeometry(group.clip.pathData, group.clip.clipRule)
+        : null,
+    ],
+  ];
+  const children = group.transform
+    ? [
+        ...formatMatrixTransform(
+          'DrawingGroup.Transform',
+          group.transform,
+          indent + indentUnit,
+        ),
+        ...content,
+      ]
+    : content;
+
+  return formatElement('DrawingGroup', attributes, children, indent);
+}
+
+/**
+ * Turns optimized markup into a XAML DrawingImage, for WPF.
+ * @param {string} svgText
+ * @returns {{ text: string, warnings: string[] }}
+ */
+export function exportXaml(svgText) {
+  const drawing = getDrawing(svgText);
+  const { x, y, width, height } = drawing.viewBox;
+  const indent = indentUnit.repeat(2);
+
+  // clipping to the viewBox keeps its padding, as images are otherwise
+  // sized to their content
+  const root = formatElement(
+    'DrawingGroup',
+    [
+      [
+        'ClipGeometry',
+        `M${formatPoint(x, y)} H${formatNumber(x + width)} V${formatNumber(
+          y + height,
+        )} H${formatNumber(x)} Z`,
+      ],
+    ],
+    formatNodes(drawing.children, indent + indentUnit),
+    indent,
+  );
+
+  return {
+    text: [
+      '<DrawingImage xmlns="http://schemas.microsoft.com/winfx/2006/xaml/presentation">',
+      `${indentUnit}<DrawingImage.Drawing>`,
+      ...root,
+      `${indentUnit}</DrawingImage.Drawing>`,
+      '</DrawingImage>',
+      '',
+    ].join('\n'),
+    warnings: drawing.warnings,
+  };
+}
@@ -0,0 +1,77 @@
+import { readFileAsText } from './utils.js';
+import { isVectorDrawable } from './importers/vector-drawable.js';
+
+// Servers send SVGs as all sorts, but not as these
+const nonSvgTypeRe =
+  /^(?:image\/(?!svg)|audio\/|video\/|font\/|text\/(?:html|css|javascript)|application\/(?:json|javascript|pdf|zip))/i;
+
+// The file name at the end of the path, as an SVG
+function getFilename(url) {
+  let name = url.pathname.split('/').pop();
+
+  try {
+    name = decodeURIComponent(name);
+  } catch {
+    // keep it encoded
+  }
+
+  if (!name) return 'image.svg';
+  return /\.(?:svgz?|xml)$/i.test(name) ? name : `${name}.svg`;
+}
+
+/**
+ * Fetches an SVG from another site, with errors that say why it couldn't be.
+ * @param {string} url
+ * @returns {Promise<{ data: string, filename: string, url: string }>}
+ */
+export async function fetchSvg(url) {
+  let parsedUrl;
+
+  try {
+    parsedUrl = new URL(url.trim(), location.href);
+  } catch {
+    throw new Error(`Couldn't fetch SVG: "${url}" isn't a URL`);
+  }
+
+  if (!/^https?:$/.test(parsedUrl.protocol)) {
+    throw new Error("Couldn't fetch SVG: only http & https URLs can be loaded");
+  }
+
+  if (!navigator.onLine) {
+    throw new Error("Couldn't fetch SVG: you're offline");
+  }
+
+  let response;
+
+  try {
+    response = await fetch(parsedUrl.href);
+  } catch {
+    // fetch doesn't say why, but going offline or CORS are most likely
+    throw new Error(
+      navigator.onLine
+        ? `Couldn't fetch SVG: ${parsedUrl.host} can't be reached, or doesn't allow other sites to load its files (CORS)`
+        : "Couldn't fetch SVG: you're offline",
+    );
+  }
+
+  if (!response.ok) {
+    throw new Error(
+      `Couldn't fetch SVG: the server responded ${response.status} ${response.statusText}`.trim(),
+    );
+  }
+
+  const type = (response.headers.get('content-type') || '').split(';')[0];
+
+  if (nonSvgTypeRe.test(type)) {
+    throw new Error(`Couldn't load URL: it's ${type}, not an SVG`);
+  }
+
+  // .svgz files are often served as they are, rather than gzip-encoded
+  const data = await readFileAsText(await response.blob());
+
+  if (!/<svg[\s>]/i.test(data) && !isVectorDrawable(data)) {
+    throw new Error("Couldn't load URL: it isn't an SVG");
+  }
+
+  return { data, filename: getFilename(parsedUrl), url: parsedUrl.href };
+}
@@ -5,9 +5,29 @@ class Gzip extends WorkerMessenger {
     super('js/gzip-worker.js');
   }
 
+  /**
+   * @returns {Promise<ArrayBuffer>}
+   */
   compress(data) {
-    return this.requestResponse({ data });
+    return this.requestResponse({ action: 'compress', data });
+  }
+
+  /**
+   * @param {ArrayBuffer} data
+   * @returns {Promise<string>}
+   */
+  decompress(data) {
+    return this.requestResponse({ action: 'decompress', data });
   }
 }
 
 export const gzip = new Gzip();
+
+/**
+ * @param {ArrayBuffer} buffer
+ * @returns {boolean} Whether the data starts like gzip does
+ */
+export function isGzipped(buffer) {
+  const bytes = new Uint8Array(buffer, 0, Math.min(2, buffer.byteLength));
+  return bytes[0] === 0x1f && bytes[1] === 0x8b;
+}
@@ -0,0 +1,150 @@
+/* eslint-disable no-bitwise */
+import { renderRaster } from './raster.js';
+
+const faviconSizes = [16, 32, 48];
+const appIconSizes = [192, 512];
+const appleTouchSize = 180;
+// Maskable icons can be cropped to a circle this fraction of their size
+const maskableSafeZone = 0.8;
+
+/**
+ * Packs PNGs into an .ico. Every browser that reads .ico files understands
+ * PNG entries, and they're far smaller than bitmaps.
+ * @param {Array<{ size: number, data: ArrayBuffer }>} images
+ * @returns {ArrayBuffer}
+ */
+export function encodeIco(images) {
+  const headerSize = 6;
+  const entrySize = 16;
+  let offset = headerSize + entrySize * images.length;
+  const totalSize = images.reduce(
+    (size, { data }) => size + data.byteLength,
+    offset,
+  );
+  const buffer = new ArrayBuffer(totalSize);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  view.setUint16(2, 1, true); // icon
+  view.setUint16(4, images.length, true);
+
+  for (const [index, { size, data }] of images.entries()) {
+    const entry = headerSize + entrySize * index;
+    // 0 means 256
+    view.setUint8(entry, size & 0xff);
+    view.setUint8(entry + 1, size & 0xff);
+    view.setUint16(entry + 4, 1, true); // colour planes
+    view.setUint16(entry + 6, 32, true); // bits per pixel
+    view.setUint32(entry + 8, data.byteLength, true);
+    view.setUint32(entry + 12, offset, true);
+
+    bytes.set(new Uint8Array(data), offset);
+    offset += data.byteLength;
+  }
+
+  return buffer;
+}
+
+// The largest fraction of a maskable icon the image can take, and still be
+// entirely inside the safe zone
+function getMaskableContentSize({ width, height }) {
+  if (!(width > 0) || !(height > 0)) return maskableSafeZone / Math.SQRT2;
+
+  return (
+    (maskableSafeZone * Math.max(width, height)) / Math.hypot(width, height)
+  );
+}
+
+function renderPng(svgFile, size, options) {
+  return renderRaster(
+    svgFile,
+    { width: size, height: size },
+    { type: 'image/png', ...options },
+  );
+}
+
+// The "icons" of a web app manifest, like src/manifest.json
+function getManifestIcons() {
+  const icons = [
+    ...appIconSizes.map((size) => ({
+      src: `icon-${size}.png`,
+      sizes: `${size}x${size}`,
+      type: 'image/png',
+    })),
+    ...appIconSizes.map((size) => ({
+      src: `maskable-${size}.png`,
+      sizes: `${size}x${size}`,
+      type: 'image/png',
+      purpose: 'maskable',
+    })),
+  ];
+
+  return `${JSON.stringify({ icons }, null, 2)}\n`;
+}
+
+function getHeadLinks() {
+  return [
+    '<link rel="icon" href="/favicon.ico" sizes="any">',
+    '<link rel="icon" href="/favicon.svg" type="image/svg+xml">',
+    '<link rel="apple-touch-icon" href="/apple-touch-icon.png">',
+    '<link rel="manifest" href="/manifest.json">',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Favicons, app icons & the markup to use them, from one SVG.
+ * @param {import('./svg-file.js').default} svgFile
+ * @param {{ background: string }} options Colour behind icons that can't be
+ * transparent
+ * @returns {Promise<{ files: Array<{ path: string, data: string | ArrayBuffer }>, maskablePreview: Blob, faviconPreview: Blob }>}
+ */
+export async function createIconSet(svgFile, { background }) {
+  const render = async (size, options) => {
+    const blob = await renderPng(svgFile, size, options);
+    return blob.arrayBuffer();
+  };
+
+  const maskableOptions = {
+    background,
+    contentSize: getMaskableContentSize(svgFile),
+  };
+
+  const favicons = await Promise.all(
+    faviconSizes.map(async (size) => ({
+      size,
+      data: await render(size, { contentSize: 1 }),
+    })),
+  );
+  const appIcons = await Promise.all(
+    appIconSizes.map((size) => render(size, { contentSize: 1 })),
+  );
+  const maskableIcons = await Promise.all(
+    appIconSizes.map((size) => render(size, maskableOptions)),
+  );
+  // iOS fills transparency with black, and rounds the corners itself
+  const appleTouchIcon = await render(appleTouchSize, {
+    background,
+    contentSize: 0.8,
+  });
+
+  return {
+    files: [
+      { path: 'favicon.svg', data: svgFile.text },
+      { path: 'favicon.ico', data: encodeIco(favicons) },
+      { path: 'apple-touch-icon.png', data: appleTouchIcon },
+      ...appIconSizes.map((size, index) => ({
+        path: `icon-${size}.png`,
+        data: appIcons[index],
+      })),
+      ...appIconSizes.map((size, index) => ({
+        path: `maskable-${size}.png`,
+        data: maskableIcons[index],
+      })),
+      { path: 'manifest-icons.json', data: getManifestIcons() },
+      { path: 'head.html', data: getHeadLinks() },
+    ],
+    maskablePreview: new Blob([maskableIcons.at(-1)], { type: 'image/png' }),
+    faviconPreview: new Blob([svgFile.text], { type: 'image/svg+xml' }),
+  };
+}
@@ -0,0 +1,22 @@
+import { isVectorDrawable, vectorDrawableToSvg } from './vector-drawable.js';
+
+/**
+ * Turns loaded text in other formats into SVG, ready for Svgo#wrapOriginal.
+ * `note` says what was converted, and `warnings` anything that didn't survive.
+ * @param {{ data: string, filename: string }} input
+ * @returns {{ data: string, filename: string, note: string | null, warnings: string[] }}
+ */
+export function importInput({ data, filename }) {
+  if (isVectorDrawable(data)) {
+    const { text, warnings } = vectorDrawableToSvg(data);
+
+    return {
+      data: text,
+      filename: `${filename.replace(/\.(?:xml|svg)$/i, '')}.svg`,
+      note: 'Converted from an Android VectorDrawable',
+      warnings,
+    };
+  }
+
+  return { data, filename, note: null, warnings: [] };
+}
@@ -0,0 +1,385 @@
+const svgNs = 'http://www.w3.org/2000/svg';
+const androidNs = 'http://schemas.android.com/apk/res/android';
+
+const lineCaps = new Set(['butt', 'round', 'square']);
+const lineJoins = new Set(['miter', 'round', 'bevel']);
+const spreadMethods = { clamp: 'pad', mirror: 'reflect', repeat: 'repeat' };
+
+// Colour resources can't be looked up, but these are common enough
+const androidColors = new Map([
+  ['@android:color/white', '#ffffff'],
+  ['@android:color/black', '#000000'],
+  ['@android:color/transparent', '#00000000'],
+]);
+
+/**
+ * @param {string} text
+ * @returns {boolean} Whether the text is an Android VectorDrawable
+ */
+export function isVectorDrawable(text) {
+  return /^\s*(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*<vector[\s>]/.test(
+    text,
+  );
+}
+
+function getAndroidAttribute(element, name) {
+  return (
+    element.getAttributeNS(androidNs, name) ??
+    element.getAttribute(`android:${name}`)
+  );
+}
+
+function getNumber(element, name, defaultValue) {
+  const num = Number.parseFloat(getAndroidAttribute(element, name));
+  return Number.isFinite(num) ? num : defaultValue;
+}
+
+/**
+ * "#ARGB", "#AARRGGBB" & friends, split into an SVG colour & opacity.
+ * Resources & theme attributes can't be resolved, so take the text colour.
+ * @param {string} value
+ * @param {Set<string>} warnings Gets what couldn't be resolved
+ * @returns {{ color: string, opacity: number }}
+ */
+function parseAndroidColor(value, warnings) {
+  const trimmed = (value || '').trim();
+  if (androidColors.has(trimmed)) {
+    return parseAndroidColor(androidColors.get(trimmed), warnings);
+  }
+
+  const hex = /^#([\da-f]+)$/i.exec(trimmed)?.[1];
+
+  if (!hex || ![3, 4, 6, 8].includes(hex.length)) {
+    warnings.add(
+      /^[@?]/.test(trimmed)
+        ? `The colour ${trimmed} can't be looked up, so currentColor was used`
+        : `"${trimmed}" isn't a colour, so currentColor was used`,
+    );
+    return { color: 'currentColor', opacity: 1 };
+  }
+
+  // alpha comes first in Android colours
+  const full =
+    hex.length <= 4 ? [...hex].map((char) => char + char).join('') : hex;
+  const hasAlpha = full.length === 8;
+
+  return {
+    color: `#${hasAlpha ? full.slice(2) : full}`,
+    opacity: hasAlpha ? Number.parseInt(full.slice(0, 2), 16) / 255 : 1,
+  };
+}
+
+function formatNumber(num) {
+  return String(Math.round(num * 10_000) / 10_000);
+}
+
+/**
+ * Turns an Android VectorDrawable into the equivalent SVG.
+ * @param {string} text
+ * @returns {{ text: string, warnings: string[] }}
+ */
+export function vectorDrawableToSvg(text) {
+  const vectorDoc = new DOMParser().parseFromString(text, 'application/xml');
+  const parserError = vectorDoc.querySelector('parsererror');
+
+  if (parserError) {
+    throw new Error(
+      `Couldn't parse VectorDrawable: ${parserError.textContent}`,
+    );
+  }
+
+  const vector = vectorDoc.documentElement;
+  const doc = new DOMParser().parseFromString(
+    `<svg xmlns="${svgNs}"/>`,
+    'image/svg+xml',
+  );
+  const svg = doc.documentElement;
+  const defs = doc.createElementNS(svgNs, 'defs');
+  const warnings = new Set();
+  let idCount = 0;
+
+  const createElement = (name, attributes = {}) => {
+    const element = doc.createElementNS(svgNs, name);
+
+    for (const [attributeName, value] of Object.entries(attributes)) {
+      if (value !== null && value !== undefined) {
+        element.setAttribute(attributeName, value);
+      }
+    }
+
+    return element;
+  };
+
+  // a tint replaces every colour, keeping their alpha
+  const tint = getAndroidAttribute(vector, 'tint');
+  const tintColor = tint && parseAndroidColor(tint, warnings);
+
+  if (tint && getAndroidAttribute(vector, 'tintMode')) {
+    warnings.add('Tint modes were ignored');
+  }
+
+  function createGradient(gradient) {
+    const type = getAndroidAttribute(gradient, 'type') || 'linear';
+    const items = [...gradient.children].filter(
+      (child) => child.localName === 'item',
+    );
+    // without items, the colours are attributes
+    const stops =
+      items.length > 0
+        ? items.map((item) => ({
+            offset: getNumber(item, 'offset', 0),
+            color: getAndroidAttribute(item, 'color'),
+          }))
+        : [
+            [0, 'startColor'],
+            [0.5, 'centerColor'],
+            [1, 'endColor'],
+          ]
+            .map(([offset, name]) => ({
+              offset,
+              color: getAndroidAttribute(gradient, name),
+            }))
+            .filter(({ color }) => color);
+
+    if (type === 'sweep') {
+      warnings.add(
+        'Sweep gradients have no SVG equivalent, so their first colour was used',
+      );
+      return stops.length > 0
+        ? parseAndroidColor(stops[0].color, warnings)
+        : null;
+    }
+
+    const element =
+      type === 'radial'
+        ? createElement('radialGradient', {
+            cx: formatNumber(getNumber(gradient, 'centerX', 0)),
+            cy: formatNumber(getNumber(gradient, 'centerY', 0)),
+            r: formatNumber(getNumber(gradient, 'gradientRadius', 0)),
+          })
+        : createElement('linearGradient', {
+            x1: formatNumber(getNumber(gradient, 'startX', 0)),
+            y1: formatNumber(getNumber(gradient, 'startY', 0)),
+            x2: formatNumber(getNumber(gradient, 'endX', 0)),
+            y2: formatNumber(getNumber(gradient, 'endY', 0)),
+          });
+    element.id = `gradient-${++idCount}`;
+    element.setAttribute('gradientUnits', 'userSpaceOnUse');
+
+    const spreadMethod =
+      spreadMethods[getAndroidAttribute(gradient, 'tileMode')] || 'pad';
+    if (spreadMethod !== 'pad') {
+      element.setAttribute('spreadMethod', spreadMethod);
+    }
+
+    for (const stop of stops) {
+      const { color, opacity } =
+        tintColor || parseAndroidColor(stop.color, warnings);
+      element.append(
+        createElement('stop', {
+          offset: formatNumber(stop.offset),
+          'stop-color': color,
+          'stop-opacity': opacity < 1 ? formatNumber(opacity) : null,
+        }),
+      );
+    }
+
+    defs.append(element);
+    return { color: `url(#${element.id})`, opacity: 1 };
+  }
+
+  // Colours can be attributes, or gradients in an <aapt:attr> child
+  function getPaint(path, name) {
+    const gradientAttr = [...path.children].find(
+      (child) =>
+        child.localName === 'attr' &&
+        child.getAttribute('name') === `android:${name}`,
+    );
+    const gradient =
+      gradientAttr &&
+      [...gradientAttr.children].find(
+        (child) => child.localName === 'gradient',
+      );
+
+    if (gradient) return createGradient(gradient);
+
+    const value = getAndroidAttribute(path, name);
+    if (!value) return null;
+
+    const paint = parseAndroidColor(value, warnings);
+    if (!tintColor) return paint;
+
+    return {
+      color: tintColor.color,
+      opacity: paint.opacity * tintColor.opacity,
+    };
+  }
+
+  function getFillAttributes(path) {
+    const fill = getPaint(path, 'fillColor');
+    const fillAlpha = getNumber(path, 'fillAlpha', 1) * (fill?.opacity ?? 1);
+
+    return {
+      // VectorDrawable paths are unfilled unless told otherwise
+      fill: fill ? fill.color : 'none',
+      'fill-opacity': fill && fillAlpha < 1 ? formatNumber(fillAlpha) : null,
+      'fill-rule':
+        getAndroidAttribute(path, 'fillType') === 'evenOdd' ? 'evenodd' : null,
+    };
+  }
+
+  function getStrokeAttributes(path) {
+    const stroke = getPaint(path, 'strokeColor');
+    const strokeWidth = getNumber(path, 'strokeWidth', 0);
+    if (!stroke || strokeWidth <= 0) return {};
+
+    const strokeAlpha = getNumber(path, 'strokeAlpha', 1) * stroke.opacity;
+    const lineCap = getAndroidAttribute(path, 'strokeLineCap');
+    const lineJoin = getAndroidAttribute(path, 'strokeLineJoin');
+    const miterLimit = getNumber(path, 'strokeMiterLimit', 4);
+
+    return {
+      stroke: stroke.color,
+      'stroke-width': formatNumber(strokeWidth),
+      'stroke-opacity': strokeAlpha < 1 ? formatNumber(strokeAlpha) : null,
+      'stroke-linecap':
+        lineCaps.has(lineCap) && lineCap !== 'butt' ? lineCap : null,
+      'stroke-linejoin':
+        lineJoins.has(lineJoin) && lineJoin !== 'miter' ? lineJoin : null,
+      'stroke-miterlimit': miterLimit === 4 ? null : formatNumber(miterLimit),
+    };
+  }
+
+  function convertPath(path) {
+    const pathData = getAndroidAttribute(path, 'pathData');
+    if (!pathData) return null;
+
+    if (
+      getAndroidAttribute(path, 'trimPathStart') ||
+      getAndroidAttribute(path, 'trimPathEnd') ||
+      getAndroidAttribute(path, 'trimPathOffset')
+    ) {
+      warnings.add('Trimmed paths were drawn in full');
+    }
+
+    return createElement('path', {
+      d: pathData,
+      ...getFillAttributes(path),
+      ...getStrokeAttributes(path),
+    });
+  }
+
+  // Android applies scale, then rotation, then translation, around the pivot
+  function getGroupTransform(group) {
+    const pivotX = getNumber(group, 'pivotX', 0);
+    const pivotY = getNumber(group, 'pivotY', 0);
+    const translateX = getNumber(group, 'translateX', 0) + pivotX;
+    const translateY = getNumber(group, 'translateY', 0) + pivotY;
+    const rotation = getNumber(group, 'rotation', 0);
+    const scaleX = getNumber(group, 'scaleX', 1);
+    const scaleY = getNumber(group, 'scaleY', 1);
+    const parts = [];
+
+    if (translateX || translateY) {
+      parts.push(
+        `translate(${formatNumber(translateX)} ${formatNumber(translateY)})`,
+      );
+    }
+
+    if (rotation) parts.push(`rotate(${formatNumber(rotation)})`);
+
+    if (scaleX !== 1 || scaleY !== 1) {
+      parts.push(`scale(${formatNumber(scaleX)} ${formatNumber(scaleY)})`);
+    }
+
+    if (pivotX || pivotY) {
+      parts.push(
+        `translate(${formatNumber(-pivotX)} ${formatNumber(-pivotY)})`,
+      );
+    }
+
+    return parts.join(' ') || null;
+  }
+
+  // The group that what comes after the <clip-path> goes in
+  function convertClipPath(clipPathEl) {
+    const clipPath = createElement('clipPath', {
+      id: `clip-${++idCount}`,
+    });
+    clipPath.append(
+      createElement('path', {
+        d: getAndroidAttribute(clipPathEl, 'pathData') || '',
+      }),
+    );
+    defs.append(clipPath);
+
+    return createElement('g', {
+      'clip-path': `url(#${clipPath.id})`,
+    });
+  }
+
+  function convertGroup(groupEl) {
+    const group = createElement('g', {
+      transform: getGroupTransform(groupEl),
+    });
+    convertChildren(groupEl, group);
+    return group;
+  }
+
+  // A <clip-path> clips what comes after it in its group
+  function convertChildren(parent, target) {
+    let container = target;
+
+    for (const child of parent.children) {
+      switch (child.localName) {
+        case 'clip-path': {
+          const clipped = convertClipPath(child);
+          container.append(clipped);
+          container = clipped;
+
+          break;
+        }
+
+        case 'group': {
+          container.append(convertGroup(child));
+
+          break;
+        }
+
+        case 'path': {
+          const path = convertPath(child);
+          if (path) container.append(path);
+
+          break;
+        }
+        // No default
+      }
+    }
+  }
+
+  const viewportWidth = getNumber(vector, 'viewportWidth', 24);
+  const viewportHeight = getNumber(vector, 'viewportHeight', 24);
+  const alpha = getNumber(vector, 'alpha', 1);
+
+  svg.setAttribute('width', formatNumber(getNumber(vector, 'width', 24)));
+  svg.setAttribute('height', formatNumber(getNumber(vector, 'height', 24)));
+  svg.setAttribute(
+    'viewBox',
+    `0 0 ${formatNumber(viewportWidth)} ${formatNumber(viewportHeight)}`,
+  );
+
+  let content = svg;
+
+  if (alpha < 1) {
+    content = createElement('g', { opacity: formatNumber(alpha) });
+    svg.append(content);
+  }
+
+  convertChildren(vector, content);
+  if (defs.hasChildNodes()) svg.prepend(defs);
+
+  return {
+    text: new XMLSerializer().serializeToString(svg),
+    warnings: [...warnings],
+  };
+}
@@ -0,0 +1,437 @@
+import { escapeHTML } from './utils.js';
+import { exportDataUri, exportBase64 } from './exporters/data-uri.js';
+import { formatJsx } from './exporters/react.js';
+import { isVectorDrawable } from './importers/vector-drawable.js';
+
+const svgNs = 'http://www.w3.org/2000/svg';
+const xlinkNs = 'http://www.w3.org/1999/xlink';
+
+// A file that is an SVG, rather than one with SVGs in it. Its root can come
+// after any processing instructions, comments & doctype, and the file may be
+// cut short, in which case it should fail to load as an SVG.
+const svgDocumentRe =
+  /^\s*(?:(?:<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!doctype svg[^>[]*(?:\[[\s\S]*?])?\s*>)\s*)*<svg[\s>]/i;
+// Attributes only JSX would have
+const jsxRe =
+  /=\s*{|{\s*\.\.\.|\s(?:className|(?:clip|fill|font|stop|stroke|xlink|xml)[A-Z]\w*)=/;
+const svgTagRe = /<svg[\s>]|<\/svg\s*>/gi;
+const dataUriRe = /data:image\/svg\+xml((?:;[^;,"'()\s]*)*),/gi;
+// What ends a data URI, by what comes before it
+const uriEnds = { '"': '"', "'": "'", '`': '`', '(': ')' };
+const placeholderRe = /data-svgomg-jsx-(\d+)="jsx"/g;
+
+// Attributes that are camelCase in SVG too, so JSX doesn't rename them
+const camelCaseAttributes = new Set([
+  'attributeName',
+  'baseFrequency',
+  'calcMode',
+  'clipPathUnits',
+  'diffuseConstant',
+  'edgeMode',
+  'filterUnits',
+  'gradientTransform',
+  'gradientUnits',
+  'kernelMatrix',
+  'kernelUnitLength',
+  'keyPoints',
+  'keySplines',
+  'keyTimes',
+  'lengthAdjust',
+  'limitingConeAngle',
+  'markerHeight',
+  'markerUnits',
+  'markerWidth',
+  'maskContentUnits',
+  'maskUnits',
+  'numOctaves',
+  'pathLength',
+  'patternContentUnits',
+  'patternTransform',
+  'patternUnits',
+  'pointsAtX',
+  'pointsAtY',
+  'pointsAtZ',
+  'preserveAlpha',
+  'preserveAspectRatio',
+  'primitiveUnits',
+  'refX',
+  'refY',
+  'repeatCount',
+  'repeatDur',
+  'specularConstant',
+  'specularExponent',
+  'spreadMethod',
+  'startOffset',
+  'stdDeviation',
+  'stitchTiles',
+  'surfaceScale',
+  'systemLanguage',
+  'tableValues',
+  'targetX',
+  'targetY',
+  'textLength',
+  'viewBox',
+  'xChannelSelector',
+  'yChannelSelector',
+]);
+
+// JSX names that aren't just the SVG one camelCased
+const jsxAttributeNames = new Map([
+  ['className', 'class'],
+  ['htmlFor', 'for'],
+  ['tabIndex', 'tabindex'],
+  ['xmlnsXlink', 'xmlns:xlink'],
+]);
+
+/**
+ * @param {string} text
+ * @returns {boolean} Whether the text is HTML, JSX or CSS with SVGs in it,
+ * rather than an SVG itself
+ */
+export function hasInlineSvgs(text) {
+  if (isVectorDrawable(text)) return false;
+  if (svgDocumentRe.test(text) && !jsxRe.test(text)) return false;
+  return /<svg[\s>]|data:image\/svg\+xml/i.test(text);
+}
+
+function getSvgAttributeName(name) {
+  if (jsxAttributeNames.has(name)) return jsxAttributeNames.get(name);
+  if (camelCaseAttributes.has(name)) return name;
+
+  return name
+    .replace(
+      /^(xlink|xml)([A-Z])/,
+      (match, prefix, char) => `${prefix}:${char.toLowerCase()}`,
+    )
+    .replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`);
+}
+
+// Index of the brace closing the one at `start`, skipping over strings
+function findClosingBrace(text, start) {
+  let depth = 0;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === '"' || char === "'" || char === '`') {
+      const end = text.indexOf(char, i + 1);
+      if (end === -1) break;
+      i = end;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return i;
+    }
+  }
+
+  throw new Error('Unclosed JSX expression');
+}
+
+// Literal values can be plain attributes, anything else is kept aside
+function formatJsxAttribute(name, expression, expressions) {
+  const string = /^(["'`])([^"'`\\]*)\1$/.exec(expression);
+  const value = string ? string[2] : expression;
+
+  if (string || /^-?(?:\d+\.?\d*|\.\d+)(?:e-?\d+)?$/i.test(expression)) {
+    return `${name}="${escapeHTML(value)}"`;
+  }
+
+  expressions.push(`${name}={${expression}}`);
+  return `data-svgomg-jsx-${expressions.length - 1}="jsx"`;
+}
+
+/**
+ * JSX markup as SVG. Expressions that can't be attributes, like
+ * `{...props}`, become placeholders that go back in after optimizing.
+ */
+function jsxToSvg(markup) {
+  const expressions = [];
+  let svg = '';
+  let inTag = false;
+  let quote = null;
+
+  for (let i = 0; i < markup.length; i++) {
+    const char = markup[i];
+
+    if (inTag && !quote && char === '{') {
+      const end = findClosingBrace(markup, i);
+      const expression = markup.slice(i + 1, end).trim();
+      const attribute = /([\w:.-]+)\s*=\s*$/.exec(svg);
+
+      if (attribute) {
+        svg =
+          svg.slice(0, attribute.index) +
+          formatJsxAttribute(attribute[1], expression, expressions);
+      } else {
+        expressions.push(`{${expression}}`);
+        svg += `data-svgomg-jsx-${expressions.length - 1}="jsx"`;
+      }
+
+      i = end;
+      continue;
+    }
+
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (inTag) {
+      if (char === '"' || char === "'") quote = char;
+      if (char === '>') inTag = false;
+    } else if (char === '{') {
+      throw new Error('JSX expressions between tags aren’t supported');
+    } else {
+      inTag = char === '<';
+    }
+
+    svg += char;
+  }
+
+  return {
+    text: svg.replace(
+      /(\s)([a-z][\w:.-]*)(?=\s*=\s*["'])/gi,
+      (match, space, name) => space + getSvgAttributeName(name),
+    ),
+    expressions,
+  };
+}
+
+// Inline SVGs don't need namespaces, but standalone ones do
+function addNamespaces(markup) {
+  const openTag = /^<svg[^>]*>/i.exec(markup)[0];
+  const added = [];
+
+  if (!/\sxmlns\s*=/.test(openTag)) added.push(`xmlns="${svgNs}"`);
+
+  if (markup.includes('xlink:') && !/\sxmlns:xlink\s*=/.test(openTag)) {
+    added.push(`xmlns:xlink="${xlinkNs}"`);
+  }
+
+  return {
+    text:
+      added.length > 0 ? `<svg ${added.join(' ')}${markup.slice(4)}` : markup,
+    added,
+  };
+}
+
+function removeAttributes(svgText, attributes) {
+  let text = svgText;
+  for (const attribute of attributes) text = text.replace(` ${attribute}`, '');
+  return text;
+}
+
+// The whitespace the line starts with
+function getIndent(source, index) {
+  const lineStart = source.lastIndexOf('\n', index - 1) + 1;
+  return /^[ \t]*/.exec(source.slice(lineStart, index))[0];
+}
+
+function getMarkupSvg(source, start, end, isScript) {
+  const markup = source.slice(start, end);
+
+  if (!isScript && !jsxRe.test(markup)) {
+    const { text, added } = addNamespaces(markup);
+
+    return {
+      start,
+      end,
+      type: 'markup',
+      text,
+      toSource: (svgText) => removeAttributes(svgText, added),
+    };
+  }
+
+  const indent = getIndent(source, start);
+  const inlineSvg = { start, end, type: 'jsx', text: markup };
+
+  try {
+    const { text, expressions } = jsxToSvg(markup);
+    inlineSvg.text = addNamespaces(text).text;
+
+    inlineSvg.toSource = (svgText) => {
+      let restored = 0;
+      const jsx = formatJsx(svgText, indent).replace(
+        placeholderRe,
+        (match, index) => {
+          restored++;
+          return expressions[index];
+        },
+      );
+
+      if (restored !== expressions.length) {
+        throw new Error('Optimizing removed JSX expressions');
+      }
+
+      return jsx;
+    };
+  } catch (error) {
+    inlineSvg.error = error;
+  }
+
+  return inlineSvg;
+}
+
+function decodeBase64(payload) {
+  const binary = atob(payload.replace(/\s/g, ''));
+  return new TextDecoder().decode(
+    Uint8Array.from(binary, (char) => char.codePointAt(0)),
+  );
+}
+
+function decodePayload(payload, base64) {
+  if (base64) return decodeBase64(payload);
+
+  try {
+    return decodeURIComponent(payload);
+  } catch {
+    // some write them without encoding, "%" and all
+    return payload;
+  }
+}
+
+function findDataUris(source) {
+  const found = [];
+
+  for (const match of source.matchAll(dataUriRe)) {
+    const opener = source[match.index - 1];
+    const closer = uriEnds[opener];
+    if (!closer) continue;
+
+    const payloadStart = match.index + match[0].length;
+    const end = source.indexOf(closer, payloadStart);
+    if (end === -1) continue;
+
+    const base64 = match[1].toLowerCase().split(';').includes('base64');
+    let text;
+
+    try {
+      text = decodePayload(source.slice(payloadStart, end), base64);
+    } catch {
+      continue;
+    }
+
+    if (!/<svg[\s>]/i.test(text)) continue;
+
+    found.push({
+      start: match.index,
+      end,
+      type: 'data-uri',
+      text,
+      toSource(svgText) {
+        if (base64) return exportBase64(svgText);
+        // unquoted url()s end at spaces, quotes & brackets
+        if (opener === '(') {
+          return exportDataUri(svgText).replace(
+            /[ '()]/g,
+            (char) => `%${char.codePointAt(0).toString(16)}`,
+          );
+        }
+
+        return exportDataUri(svgText, { quote: opener === "'" ? "'" : '"' });
+      },
+    });
+  }
+
+  return found;
+}
+
+/**
+ * @typedef {object} InlineSvg
+ * @property {number} start Where it starts in the source
+ * @property {number} end Where it ends in the source
+ * @property {'markup' | 'jsx' | 'data-uri'} type
+ * @property {string} text It as a standalone SVG
+ * @property {(svgText: string) => string} [toSource] Turns optimized markup
+ * into what goes back in the source
+ * @property {Error} [error] Why it can't be optimized
+ */
+
+/**
+ * Finds the <svg>s & SVG data URIs in HTML, JSX or CSS.
+ * @param {string} source
+ * @returns {InlineSvg[]} In the order they appear
+ */
+export function findInlineSvgs(source) {
+  const dataUris = findDataUris(source);
+  // markup in an .jsx/.tsx file is JSX, even without anything JSX-only
+  const isScript =
+    !/<(?:!doctype|html|head|body|script|div|span)[\s>]/i.test(source) &&
+    /\b(?:import|export|return|const|function)\b|=>/.test(source);
+  const markup = [];
+  let depth = 0;
+  let start = -1;
+
+  for (const match of source.matchAll(svgTagRe)) {
+    // <svg>s in data URIs are handled above
+    if (
+      dataUris.some((uri) => match.index > uri.start && match.index < uri.end)
+    ) {
+      continue;
+    }
+
+    if (match[0][1] !== '/') {
+      if (depth === 0) start = match.index;
+      depth++;
+    } else if (depth > 0 && --depth === 0) {
+      markup.push(
+        getMarkupSvg(source, start, match.index + match[0].length, isScript),
+      );
+    }
+  }
+
+  return [...markup, ...dataUris].sort((a, b) => a.start - b.start);
+}
+
+// null if it couldn't be, so it's left as it was
+function toSource(inlineSvg, svgText) {
+  if (svgText === null || !inlineSvg.toSource) return null;
+
+  try {
+    return inlineSvg.toSource(svgText);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Puts optimized SVGs back where they were found.
+ * @param {string} source
+ * @param {InlineSvg[]} inlineSvgs
+ * @param {Array<string | null>} svgTexts Optimized markup for each, or null
+ * to leave one as it was
+ * @returns {{ text: string, skipped: number }}
+ */
+export function replaceInlineSvgs(source, inlineSvgs, svgTexts) {
+  let text = '';
+  let skipped = 0;
+  let index = 0;
+
+  for (const [i, inlineSvg] of inlineSvgs.entries()) {
+    let replacement = toSource(inlineSvg, svgTexts[i]);
+
+    if (replacement === null) {
+      replacement = source.slice(inlineSvg.start, inlineSvg.end);
+      skipped++;
+    }
+
+    text += source.slice(index, inlineSvg.start) + replacement;
+    index = inlineSvg.end;
+  }
+
+  return { text: text + source.slice(index), skipped };
+}
+
+/**
+ * An extension for the source, for when it came from a paste.
+ * @param {string} source
+ * @param {InlineSvg[]} inlineSvgs
+ */
+export function getSourceExtension(source, inlineSvgs) {
+  if (inlineSvgs.some(({ type }) => type === 'jsx')) return 'jsx';
+  if (inlineSvgs.some(({ type }) => type === 'markup')) return 'html';
+
+  // data URIs can have tags in them, so look around them
+  const rest = inlineSvgs.reduceRight(
+    (text, { start, end }) => text.slice(0, start) + text.slice(end),
+    source,
+  );
+  return /<[a-z][\w-]*[\s>]/i.test(rest) ? 'html' : 'css';
+}
@@ -1,10 +1,32 @@
 import { idbKeyval as storage } from '../utils/storage.js';
 import Svgo from './svgo.js';
-import { domReady } from './utils.js';
+import SvgFile from './svg-file.js';
+import { domReady, downloadBlob } from './utils.js';
+import { zip } from './zip.js';
+import { gzip } from './gzip.js';
+import { importInput } from './importers/index.js';
+import { pixelDiff } from './pixel-diff.js';
+import { parseRasterSizes, renderRaster } from './raster.js';
+import { createIconSet } from './icon-set.js';
+import {
+  hasInlineSvgs,
+  findInlineSvgs,
+  replaceInlineSvgs,
+  getSourceExtension,
+} from './inline-svgs.js';
+import {
+  buildSprite,
+  splitSprite,
+  countSymbols,
+  getSymbolIds,
+  getSymbolPreview,
+  getSpriteUsage,
+} from './sprite.js';
 import Output from './ui/output.js';
 import DownloadButton from './ui/download-button.js';
 import CopyButton from './ui/copy-button.js';
 import BgFillButton from './ui/bg-fill-button.js';
+import HeatmapButton from './ui/heatmap-button.js';
 import Results from './ui/results.js';
 import Settings from './ui/settings.js';
 import MainMenu from './ui/main-menu.js';
@@ -13,13 +35,53 @@ import FileDrop from './ui/file-drop.js';
 import Preloader from './ui/preloader.js';
 import Changelog from './ui/changelog.js';
 import ResultsContainer from './ui/results-container.js';
+import BatchList from './ui/batch-list.js';
+import StepThrough from './ui/step-through.js';
+import SpritePreview from './ui/sprite-preview.js';
+import ExportFormat from './ui/export-format.js';
+import RasterExport from './ui/raster-export.js';
+import IconSetPreview from './ui/icon-set-preview.js';
+import { exportFormats, exportSvgFile } from './exporters/index.js';
+import Presets from './ui/presets.js';
+import ConfigFile from './ui/config-file.js';
 import ViewToggler from './ui/view-toggler.js';
 import ResultsCache from './results-cache.js';
+import { builtInPresets } from './presets.js';
+import {
+  exportAsSvgoConfigJs,
+  exportAsJson,
+  importSvgoConfig,
+} from './settings-file.js';
+import {
+  getSettingsFromUrl,
+  setSettingsInUrl,
+  clearSettingsInUrl,
+} from './settings-url.js';
 import MainUi from './ui/main-ui.js';
 import { removeUnusedTextCode } from './text-code-clean.js';
 import { removeUnusualAttributes } from './unusual-code-clean.js';
 
 const svgo = new Svgo();
+// kept apart so these longer jobs aren't aborted by every optimisation
+const analyser = new Svgo();
+const stepper = new Svgo();
+const spriteSvgo = new Svgo();
+const maxRecentUrls = 5;
+
+function cleansUpText(settings) {
+  return settings.remUnusedTextCode || settings.remUnusualAttributes;
+}
+
+// The clean-ups _optimizeSvg runs either side of SVGO, when enabled.
+// The step-through uses them too, so its last step is the real result.
+function cleanUpText(svgText, settings) {
+  if (settings.remUnusedTextCode) svgText = removeUnusedTextCode(svgText);
+  if (settings.remUnusualAttributes) svgText = removeUnusualAttributes(svgText);
+  return svgText;
+}
+
+// top of the precision sliders' range
+const maxPrecision = 8;
 
 export default class MainController {
   constructor() {
@@ -32,8 +94,17 @@ export default class MainController {
     this._settingsUi = new Settings();
     this._mainMenuUi = new MainMenu();
     this._toastsUi = new Toasts();
+    this._batchListUi = new BatchList();
+    this._stepThroughUi = new StepThrough();
+    this._spritePreviewUi = new SpritePreview();
+    this._exportFormatUi = new ExportFormat(exportFormats);
+    this._rasterExportUi = new RasterExport();
+    this._iconSetPreviewUi = new IconSetPreview();
+    this._heatmapButtonUi = new HeatmapButton();
+    this._presetsUi = new Presets(builtInPresets);
 
     const bgFillUi = new BgFillButton();
+    const configFileUi = new ConfigFile();
     const dropUi = new FileDrop();
     const preloaderUi = new Preloader();
     const changelogUi = new Changelog(self.version);
@@ -42,27 +113,106 @@ export default class MainController {
     const viewTogglerUi = new ViewToggler();
 
     // ui events
-    this._settingsUi.emitter.on('change', () => this._onSettingsChange());
+    this._settingsUi.emitter.on('change', () => {
+      this._presetsUi.setActive(null);
+      this._onSettingsChange();
+    });
     this._settingsUi.emitter.on('reset', (oldSettings) =>
       this._onSettingsReset(oldSettings),
     );
+    this._presetsUi.emitter.on('select', ({ preset }) =>
+      this._onPresetSelect(preset),
+    );
+    this._presetsUi.emitter.on('save', ({ name }) => this._onPresetSave(name));
+    this._presetsUi.emitter.on('rename', ({ preset, name }) =>
+      this._onPresetRename(preset, name),
+    );
+    this._presetsUi.emitter.on('delete', ({ preset }) =>
+      this._onPresetDelete(preset),
+    );
+    configFileUi.emitter.on('export', ({ format }) =>
+      this._onConfigExport(format),
+    );
+    configFileUi.emitter.on('import', (event) => this._onConfigImport(event));
     this._mainMenuUi.emitter.on('svgDataLoad', (event) =>
       this._onInputChange(event),
     );
     dropUi.emitter.on('svgDataLoad', (event) => this._onInputChange(event));
+    dropUi.emitter.on('error', ({ error }) => this._handleError(error));
+    this._mainMenuUi.emitter.on('svgBatchLoad', (event) =>
+      this._onBatchInputChange(event),
+    );
+    dropUi.emitter.on('svgBatchLoad', (event) =>
+      this._onBatchInputChange(event),
+    );
+    this._batchListUi.emitter.on('select', ({ item }) =>
+      this._onBatchItemSelect(item),
+    );
+    this._batchListUi.emitter.on('downloadAll', () =>
+      this._onBatchDownloadAll(),
+    );
+    this._batchListUi.emitter.on('buildSprite', () => this._onBuildSprite());
+    this._batchListUi.emitter.on('downloadSource', () =>
+      this._onSourceDownload(),
+    );
+    this._spritePreviewUi.emitter.on('download', () =>
+      this._onSpriteDownload(),
+    );
+    this._spritePreviewUi.emitter.on('close', () => this._closeSprite());
+    this._exportFormatUi.emitter.on('change', () =>
+      this._onExportFormatChange(),
+    );
+    this._rasterExportUi.emitter.on('download', () => this._onRasterDownload());
+    this._rasterExportUi.emitter.on('iconSet', () => this._onCreateIconSet());
+    this._iconSetPreviewUi.emitter.on('download', () =>
+      this._onIconSetDownload(),
+    );
+    this._iconSetPreviewUi.emitter.on('close', () => this._closeIconSet());
+    this._stepThroughUi.emitter.on('select', ({ step }) =>
+      this._onStepSelect(step),
+    );
+    this._stepThroughUi.emitter.on('findVisualChange', () =>
+      this._onFindVisualChange(),
+    );
     this._mainMenuUi.emitter.on('error', ({ error }) =>
       this._handleError(error),
     );
     viewTogglerUi.emitter.on('change', (event) =>
       this._outputUi.set(event.value),
     );
+    this._outputUi.emitter.on('analyse', () => this._onAnalyse());
+    this._heatmapButtonUi.emitter.on('change', ({ value }) =>
+      this._outputUi.setHeatmapVisible(value),
+    );
+    this._outputUi.emitter.on('sourceEdit', (event) =>
+      this._onSourceEdit(event),
+    );
     window.addEventListener('keydown', (event) => this._onGlobalKeyDown(event));
     window.addEventListener('paste', (event) => this._onGlobalPaste(event));
     window.addEventListener('copy', (event) => this._onGlobalCopy(event));
 
     // state
     this._inputItem = null;
+    // files of a multi-file load, including the one in _inputItem
+    this._batchItems = [];
+    this._activeBatchItem = null;
+    // the HTML, JSX or CSS the batch items were found in
+    this._inlineSource = null;
     this._cache = new ResultsCache(10);
+    // input item -> Map of auto precision's picks, see _autoTunePrecision
+    this._tunedPrecisions = new WeakMap();
+    // the result being shown, and it in the chosen export format
+    this._exportSourceFile = null;
+    this._exportedFile = null;
+    this._sprite = null;
+    this._iconSet = null;
+    // result SvgFile -> promise of its pixel diff against the original
+    this._visualDiffs = new WeakMap();
+    this._visualDiffFile = null;
+    this._visualDiffToast = null;
+    this._userPresets = [];
+    // while the "keep settings from link?" toast is unanswered
+    this._linkedSettingsPending = false;
     this._latestCompressJobId = 0;
     this._userHasInteracted = false;
     this._reloading = false;
@@ -105,15 +255,29 @@ export default class MainController {
 
       minorActionContainer.append(
         bgFillUi.container,
+        this._heatmapButtonUi.container,
         this._copyButtonUi.container,
       );
       actionContainer.append(this._downloadButtonUi.container);
-      outputElement.append(this._outputUi.container);
+      outputElement.append(
+        this._outputUi.container,
+        this._batchListUi.container,
+        this._stepThroughUi.container,
+        this._spritePreviewUi.container,
+        this._iconSetPreviewUi.container,
+      );
       container.append(this._toastsUi.container, dropUi.container);
       menuExtraElement.append(changelogUi.container);
 
-      // load previous settings
-      this._loadSettings();
+      // settings from a shared link take priority over previous settings
+      if (!this._loadSettingsFromUrl()) this._loadSettings();
+      this._loadPresets();
+      this._loadExportFormat();
+      this._loadRecentUrls();
+
+      // ?url= links straight to an SVG
+      const url = new URLSearchParams(location.search).get('url');
+      if (url) this._mainMenuUi.loadUrl(url);
 
       // someone managed to hit the preloader, aww
       if (preloaderUi.activated) {
@@ -143,8 +307,11 @@ export default class MainController {
   }
 
   _onGlobalPaste(event) {
+    // other fields take pastes as they are
+    if (event.target instanceof HTMLInputElement) return;
+
     const value = event.clipboardData.getData('text');
-    if (!value.includes('</svg>')) {
+    if (!/<\/(?:svg|vector)>|data:image\/svg\+xml/i.test(value)) {
       this._toastsUi.show('Pasted value not an SVG', { duration: 2000 });
     } else {
       this._mainMenuUi.setPasteInput(value);
@@ -208,6 +375,7 @@ export default class MainController {
   _onSettingsChange() {
     const settings = this._settingsUi.getSettings();
     this._saveSettings(settings);
+    setSettingsInUrl(settings, this._settingsUi.getDefaultSettings());
     this._compressSvg(settings);
   }
 
@@ -224,19 +392,33 @@ export default class MainController {
     }
   }
 
-  async _onInputChange({ data, filename }) {
+  async _onInputChange(input) {
     const settings = this._settingsUi.getSettings();
     this._userHasInteracted = true;
+    let imported;
+
+    if (hasInlineSvgs(input.data)) {
+      this._onInlineSourceLoad(input);
+      return;
+    }
 
     try {
-      this._inputItem = await svgo.wrapOriginal(data);
-      this._inputFilename = filename;
+      imported = importInput(input);
+      this._inputItem = await svgo.wrapOriginal(imported.data);
+      this._inputFilename = imported.filename;
+      if (input.url) this._addRecentUrl(input.url);
     } catch (error) {
       this._mainMenuUi.stopSpinner();
       this._handleError(new Error(`Load failed: ${error.message}`));
       return;
     }
 
+    this._batchItems = [];
+    this._activeBatchItem = null;
+    this._inlineSource = null;
+    this._batchListUi.setItems([]);
+    this._closeSprite();
+    this._closeIconSet();
     this._cache.purge();
 
     this._compressSvg(settings);
@@ -244,6 +426,371 @@ export default class MainController {
     this._mainUi.activate();
     this._mainMenuUi.allowHide = true;
     this._mainMenuUi.hide();
+
+    const { note, warnings } = imported;
+
+    if (warnings.length > 0) {
+      this._toastsUi.show(`${note} with warnings:\n${warnings.join('\n')}`, {
+        isError: true,
+      });
+    } else if (note) {
+      this._toastsUi.show(note, { duration: 5000 });
+    }
+
+    const symbolCount = countSymbols(this._inputItem.text);
+    if (symbolCount > 1) this._offerSpriteSplit(symbolCount);
+  }
+
+  async _offerSpriteSplit(symbolCount) {
+    const inputItem = this._inputItem;
+    const toast = this._toastsUi.show(
+      `This looks like a sprite of ${symbolCount} icons`,
+      { buttons: ['split', 'dismiss'] },
+    );
+    const answer = await toast.answer;
+
+    // something else may have been loaded in the meantime
+    if (answer !== 'split' || inputItem !== this._inputItem) return;
+
+    let icons;
+
+    try {
+      icons = splitSprite(inputItem.text);
+    } catch (error) {
+      this._handleError(new Error(`Splitting failed: ${error.message}`));
+      return;
+    }
+
+    const folder = this._inputFilename.replace(/\.[^.]*$/, '') || 'sprite';
+
+    this._onBatchInputChange({
+      files: icons.map(({ filename, text }) => ({
+        data: text,
+        filename,
+        path: `${folder}/${filename}`,
+      })),
+    });
+  }
+
+  // Each SVG in the source is optimized as part of a batch, then put back
+  _onInlineSourceLoad({ data, filename }) {
+    const inlineSvgs = findInlineSvgs(data);
+
+    if (inlineSvgs.length === 0) {
+      this._mainMenuUi.stopSpinner();
+      this._handleError(new Error('Load failed: no SVGs found'));
+      return;
+    }
+
+    // pastes are called image.svg, which this isn't
+    const sourceFilename = /\.svgz?$/i.test(filename)
+      ? `source.${getSourceExtension(data, inlineSvgs)}`
+      : filename;
+    const base = sourceFilename.replace(/\.[^.]*$/, '');
+
+    this._onBatchInputChange({
+      files: inlineSvgs.map(({ text, error }, index) => ({
+        data: text,
+        filename: `${base}-${index + 1}.svg`,
+        path: `${base}-${index + 1}.svg`,
+        error,
+      })),
+      inlineSource: { text: data, filename: sourceFilename, inlineSvgs },
+    });
+  }
+
+  async _onBatchInputChange({ files, inlineSource = null }) {
+    const settings = this._settingsUi.getSettings();
+    this._userHasInteracted = true;
+
+    const items = [];
+
+    for (const file of files) {
+      const item = {
+        filename: file.filename,
+        path: file.path,
+        inputItem: null,
+        resultFile: null,
+        fingerprint: null,
+        error: null,
+      };
+
+      if (file.error) {
+        item.error = new Error(`Load failed: ${file.error.message}`);
+        items.push(item);
+        continue;
+      }
+
+      try {
+        const { data, filename } = importInput(file);
+        // keep the folder structure, with the new extension
+        item.path = file.path.slice(0, -file.filename.length) + filename;
+        item.filename = filename;
+        // eslint-disable-next-line no-await-in-loop
+        item.inputItem = await svgo.wrapOriginal(data);
+      } catch (error) {
+        item.error = new Error(`Load failed: ${error.message}`);
+      }
+
+      items.push(item);
+    }
+
+    const firstLoaded = items.find((item) => !item.error);
+
+    if (!firstLoaded) {
+      this._mainMenuUi.stopSpinner();
+      this._handleError(new Error('Load failed: no valid SVG files'));
+      return;
+    }
+
+    this._batchItems = items;
+    this._inlineSource = inlineSource;
+    this._batchListUi.setItems(items, {
+      sourceFilename: inlineSource?.filename,
+    });
+    this._closeSprite();
+    this._closeIconSet();
+    this._selectBatchItem(firstLoaded);
+
+    this._compressSvg(settings);
+    this._outputUi.reset();
+    this._mainUi.activate();
+    this._mainMenuUi.allowHide = true;
+    this._mainMenuUi.hide();
+  }
+
+  _onBatchItemSelect(item) {
+    if (item === this._activeBatchItem) return;
+
+    this._selectBatchItem(item);
+    this._outputUi.reset();
+    this._compressSvg(this._settingsUi.getSettings());
+  }
+
+  // Batch items optimized with the current settings, or null if some are
+  // still being worked on
+  _getReadyBatchItems() {
+    const { fingerprint } = this._settingsUi.getSettings();
+    const ready = this._batchItems.filter(
+      (item) => item.resultFile && item.fingerprint === fingerprint,
+    );
+    const pending = this._batchItems.filter(
+      (item) => item.inputItem && !item.error && !ready.includes(item),
+    );
+
+    if (pending.length > 0) {
+      this._toastsUi.show('Still optimizing, try again in a moment', {
+        duration: 2000,
+      });
+      return null;
+    }
+
+    if (ready.length === 0) {
+      this._handleError(new Error('None of the files could be optimized'));
+      return null;
+    }
+
+    return ready;
+  }
+
+  async _onBuildSprite() {
+    const items = this._getReadyBatchItems();
+    if (!items) return;
+
+    const ids = getSymbolIds(items.map((item) => item.filename));
+    let sprite;
+
+    try {
+      const icons = await Promise.all(
+        items.map(async (item, index) => ({
+          id: ids[index],
+          text: await spriteSvgo.prefixIds(item.resultFile.text, ids[index]),
+        })),
+      );
+      sprite = buildSprite(icons);
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      error.message = `Sprite failed: ${error.message}`;
+      this._handleError(error);
+      return;
+    }
+
+    this._sprite = sprite;
+    this._spritePreviewUi.show({
+      size: sprite.text.length,
+      symbols: sprite.symbols.map((symbol) => ({
+        id: symbol.id,
+        previewFile: new SvgFile(getSymbolPreview(sprite, symbol)),
+      })),
+    });
+  }
+
+  async _onSpriteDownload() {
+    try {
+      const blob = await zip.create([
+        { path: 'sprite.svg', data: this._sprite.text },
+        {
+          path: 'usage.html',
+          data: getSpriteUsage(this._sprite.symbols, 'sprite.svg'),
+        },
+      ]);
+      downloadBlob(blob, 'sprite.zip');
+    } catch (error) {
+      error.message = `Zip failed: ${error.message}`;
+      this._handleError(error);
+    }
+  }
+
+  _closeSprite() {
+    this._sprite = null;
+    this._spritePreviewUi.hide();
+  }
+
+  // The source with each SVG optimized with the current settings put back, or
+  // null if some are still being worked on
+  _rewriteInlineSource({ fingerprint }) {
+    const { text, inlineSvgs } = this._inlineSource;
+    const pending = this._batchItems.some(
+      (item) =>
+        item.inputItem && !item.error && item.fingerprint !== fingerprint,
+    );
+
+    if (pending) return null;
+
+    return replaceInlineSvgs(
+      text,
+      inlineSvgs,
+      this._batchItems.map((item) => item.resultFile?.text ?? null),
+    );
+  }
+
+  async _updateInlineSourceResult(settings) {
+    const inlineSource = this._inlineSource;
+    const rewritten = this._rewriteInlineSource(settings);
+    if (!rewritten) return;
+
+    const getSize = async (text) => {
+      if (!settings.gzip) return text.length;
+
+      const compressed = await gzip.compress(text);
+      return compressed.byteLength;
+    };
+
+    const [comparisonSize, size] = await Promise.all([
+      getSize(inlineSource.text),
+      getSize(rewritten.text),
+    ]);
+
+    // something else may have been loaded in the meantime
+    if (inlineSource !== this._inlineSource) return;
+
+    this._batchListUi.setSourceResult({
+      size,
+      comparisonSize,
+      skipped: rewritten.skipped,
+    });
+  }
+
+  _onSourceDownload() {
+    const rewritten = this._rewriteInlineSource(this._settingsUi.getSettings());
+
+    if (!rewritten) {
+      this._toastsUi.show('Still optimizing, try again in a moment', {
+        duration: 2000,
+      });
+      return;
+    }
+
+    downloadBlob(
+      new Blob([rewritten.text], { type: 'text/plain' }),
+      this._inlineSource.filename,
+    );
+
+    if (rewritten.skipped > 0) {
+      this._toastsUi.show(
+        `${rewritten.skipped} of the SVGs couldn't be optimized, so were left as they were`,
+        { duration: 5000 },
+      );
+    }
+  }
+
+  async _onBatchDownloadAll() {
+    const ready = this._getReadyBatchItems();
+    if (!ready) return;
+
+    try {
+      const blob = await zip.create(
+        ready.map((item) => ({ path: item.path, data: item.resultFile.text })),
+      );
+      downloadBlob(blob, 'svgomg.zip');
+    } catch (error) {
+      error.message = `Zip failed: ${error.message}`;
+      this._handleError(error);
+      return;
+    }
+
+    const skipped = this._batchItems.length - ready.length;
+
+    if (skipped) {
+      this._toastsUi.show(`${skipped} file(s) with errors left out`, {
+        duration: 3000,
+      });
+    }
+  }
+
+  _selectBatchItem(item) {
+    this._activeBatchItem = item;
+    this._inputItem = item.inputItem;
+    this._inputFilename = item.filename;
+    this._cache.purge();
+
+    // reuse the result from the batch run, if it's still current
+    if (item.resultFile) this._cache.add(item.fingerprint, item.resultFile);
+
+    this._batchListUi.setActive(item);
+  }
+
+  _onConfigExport(format) {
+    const settings = this._settingsUi.getSettings();
+
+    if (format === 'js') {
+      downloadBlob(
+        new Blob([exportAsSvgoConfigJs(settings)], { type: 'text/javascript' }),
+        'svgo.config.js',
+      );
+    } else {
+      downloadBlob(
+        new Blob([exportAsJson(settings)], { type: 'application/json' }),
+        'svgo.config.json',
+      );
+    }
+  }
+
+  _onConfigImport({ text, filename }) {
+    const oldSettings = this._settingsUi.getSettings();
+    let imported;
+
+    try {
+      imported = importSvgoConfig(text, oldSettings);
+    } catch (error) {
+      error.message = `Couldn't import ${filename}: ${error.message}`;
+      this._handleError(error);
+      return;
+    }
+
+    this._settingsUi.resetPluginsToDefaults();
+    this._settingsUi.setSettings(imported.settings);
+    this._presetsUi.setActive(null);
+    this._onSettingsChange();
+
+    if (imported.warnings.length > 0) {
+      this._toastsUi.show(
+        `Imported ${filename} with warnings:\n${imported.warnings.join('\n')}`,
+        { isError: true },
+      );
+    } else {
+      this._toastsUi.show(`Imported ${filename}`, { duration: 2000 });
+    }
   }
 
   _handleError(error) {
@@ -257,15 +804,288 @@ export default class MainController {
   }
 
   _saveSettings(settings) {
+    // settings from a link aren't kept until the user says so
+    if (this._linkedSettingsPending) return;
     // doesn't make sense to retain the "show original" option
     const { original, ...settingsToKeep } = settings;
     storage.set('settings', settingsToKeep);
   }
 
+  _loadSettingsFromUrl() {
+    let linkedSettings;
+
+    try {
+      linkedSettings = getSettingsFromUrl(
+        this._settingsUi.getDefaultSettings(),
+      );
+    } catch (error) {
+      clearSettingsInUrl();
+      this._handleError(error);
+      return false;
+    }
+
+    if (!linkedSettings) return false;
+
+    this._linkedSettingsPending = true;
+    this._settingsUi.resetToDefaults();
+    this._settingsUi.setSettings(linkedSettings);
+    this._askToKeepLinkedSettings();
+    return true;
+  }
+
+  async _askToKeepLinkedSettings() {
+    const toast = this._toastsUi.show('Using settings from link', {
+      buttons: ['keep', 'discard'],
+    });
+    const answer = await toast.answer;
+    this._linkedSettingsPending = false;
+
+    if (answer === 'keep') {
+      this._saveSettings(this._settingsUi.getSettings());
+      return;
+    }
+
+    if (answer === 'discard') {
+      clearSettingsInUrl();
+      this._settingsUi.resetToDefaults();
+      await this._loadSettings();
+      if (this._inputItem) this._compressSvg(this._settingsUi.getSettings());
+    }
+  }
+
+  async _loadPresets() {
+    this._userPresets = (await storage.get('presets')) || [];
+    this._presetsUi.setUserPresets(this._userPresets);
+  }
+
+  _savePresets() {
+    storage.set('presets', this._userPresets);
+    this._presetsUi.setUserPresets(this._userPresets);
+  }
+
+  async _loadRecentUrls() {
+    this._mainMenuUi.setRecentUrls((await storage.get('recent-urls')) || []);
+  }
+
+  async _addRecentUrl(url) {
+    const recentUrls = (await storage.get('recent-urls')) || [];
+    const urls = [
+      url,
+      ...recentUrls.filter((recentUrl) => recentUrl !== url),
+    ].slice(0, maxRecentUrls);
+
+    storage.set('recent-urls', urls);
+    this._mainMenuUi.setRecentUrls(urls);
+  }
+
+  async _loadExportFormat() {
+    const exportFormat = await storage.get('export-format');
+    if (!exportFormat) return;
+
+    this._exportFormatUi.setFormat(exportFormat);
+    this._updateExport();
+  }
+
+  _onExportFormatChange() {
+    storage.set('export-format', this._exportFormatUi.getFormat());
+    this._updateExport();
+  }
+
+  // Sets what the copy & download buttons give, in the chosen format
+  async _updateExport() {
+    const svgFile = this._exportSourceFile;
+    if (!svgFile) return;
+
+    const exportFormat = this._exportFormatUi.getFormat();
+    const { name, encoded, gzipped } = exportFormats[exportFormat.format];
+    let exportedFile;
+
+    try {
+      exportedFile = exportSvgFile(svgFile, this._inputFilename, exportFormat);
+      // the same bytes Results measures
+      if (gzipped) exportedFile.data = await svgFile.compressed();
+    } catch (error) {
+      error.message = `Export error: ${error.message}`;
+      this._handleError(error);
+      return;
+    }
+
+    // the file or format may have changed while gzipping
+    if (
+      svgFile !== this._exportSourceFile ||
+      exportFormat.format !== this._exportFormatUi.getFormat().format
+    ) {
+      return;
+    }
+
+    if (this._exportedFile) this._exportedFile.release();
+    this._exportedFile = exportedFile;
+
+    this._downloadButtonUi.setDownload(exportedFile.filename, exportedFile);
+    this._copyButtonUi.setCopyText(exportedFile.text);
+    this._exportFormatUi.setWarnings(exportedFile.warnings);
+
+    let encodedSize = null;
+
+    if (gzipped) {
+      encodedSize = { name, size: exportedFile.data.byteLength };
+    } else if (encoded) {
+      // encoded text is all ASCII, so its length is its size in bytes
+      encodedSize = { name, size: exportedFile.text.length };
+    }
+
+    this._resultsUi.setEncodedSize(encodedSize);
+  }
+
+  async _onRasterDownload() {
+    const svgFile = this._exportSourceFile;
+
+    if (!svgFile) {
+      this._handleError(new Error('Open an SVG first'));
+      return;
+    }
+
+    const { sizes, type, background } = this._rasterExportUi.getOptions();
+    const extension = type === 'image/webp' ? 'webp' : 'png';
+    const basename = this._inputFilename.replace(/\.[^.]*$/, '') || 'image';
+
+    this._rasterExportUi.working(true);
+
+    try {
+      const images = [];
+
+      for (const size of parseRasterSizes(sizes, svgFile)) {
+        images.push({
+          path: `${basename}${size.suffix}.${extension}`,
+          // eslint-disable-next-line no-await-in-loop
+          blob: await renderRaster(svgFile, size, { type, background }),
+        });
+      }
+
+      if (images.length === 1) {
+        downloadBlob(images[0].blob, images[0].path);
+        return;
+      }
+
+      const files = await Promise.all(
+        images.map(async ({ path, blob }) => ({
+          path,
+          data: await blob.arrayBuffer(),
+        })),
+      );
+
+      downloadBlob(await zip.create(files), `${basename}-images.zip`);
+    } catch (error) {
+      error.message = `Image export failed: ${error.message}`;
+      this._handleError(error);
+    } finally {
+      this._rasterExportUi.working(false);
+    }
+  }
+
+  async _onCreateIconSet() {
+    const svgFile = this._exportSourceFile;
+
+    if (!svgFile) {
+      this._handleError(new Error('Open an SVG first'));
+      return;
+    }
+
+    const { backgroundColor } = this._rasterExportUi.getOptions();
+    this._rasterExportUi.working(true);
+
+    try {
+      this._iconSet = await createIconSet(svgFile, {
+        background: backgroundColor,
+      });
+    } catch (error) {
+      error.message = `Icon set failed: ${error.message}`;
+      this._handleError(error);
+      return;
+    } finally {
+      this._rasterExportUi.working(false);
+    }
+
+    this._iconSetPreviewUi.show(this._iconSet);
+  }
+
+  async _onIconSetDownload() {
+    try {
+      downloadBlob(await zip.create(this._iconSet.files), 'icons.zip');
+    } catch (error) {
+      error.message = `Zip failed: ${error.message}`;
+      this._handleError(error);
+    }
+  }
+
+  _closeIconSet() {
+    this._iconSet = null;
+    this._iconSetPreviewUi.hide();
+  }
+
+  _onPresetSelect(preset) {
+    this._settingsUi.resetPluginsToDefaults();
+    this._settingsUi.setSettings(preset.settings);
+    // switching back to an earlier preset is a cache hit in _compressSvg
+    this._onSettingsChange();
+  }
+
+  _onPresetSave(name) {
+    if (builtInPresets.some((preset) => preset.name === name)) {
+      this._handleError(new Error(`"${name}" is a built-in preset`));
+      return;
+    }
+
+    const { original, fingerprint, tuningFingerprint, ...settings } =
+      this._settingsUi.getSettings();
+    const existing = this._userPresets.find((preset) => preset.name === name);
+    const preset = existing || { name };
+
+    preset.settings = settings;
+    if (!existing) this._userPresets.push(preset);
+
+    this._savePresets();
+    this._presetsUi.setActive(preset);
+    this._toastsUi.show(`Saved preset "${name}"`, { duration: 2000 });
+  }
+
+  _onPresetRename(preset, name) {
+    const taken = [...builtInPresets, ...this._userPresets].some(
+      (otherPreset) => otherPreset.name === name,
+    );
+
+    if (taken) {
+      this._handleError(new Error(`A preset called "${name}" already exists`));
+      return;
+    }
+
+    preset.name = name;
+    this._savePresets();
+  }
+
+  async _onPresetDelete(preset) {
+    const index = this._userPresets.indexOf(preset);
+    this._userPresets.splice(index, 1);
+    this._savePresets();
+
+    const toast = this._toastsUi.show(`Deleted preset "${preset.name}"`, {
+      buttons: ['undo', 'dismiss'],
+      duration: 5000,
+    });
+    const answer = await toast.answer;
+
+    if (answer === 'undo') {
+      this._userPresets.splice(index, 0, preset);
+      this._savePresets();
+      this._presetsUi.setActive(preset);
+    }
+  }
+
   async _compressSvg(settings) {
     const thisJobId = (this._latestCompressJobId = Math.random());
 
     await svgo.abort();
+    pixelDiff.abort();
 
     if (thisJobId !== this._latestCompressJobId) {
       // while we've been waiting, there's been a newer call
@@ -276,44 +1096,58 @@ export default class MainController {
     if (settings.original) {
       this._updateForFile(this._inputItem, {
         compress: settings.gzip,
+        visualDiffThreshold: settings.visualDiffThreshold,
       });
+      this._updateStepThrough(settings);
       return;
     }
 
+    if (settings.autoPrecision) {
+      this._downloadButtonUi.working();
+
+      try {
+        settings = await this._autoTunePrecision(settings, thisJobId);
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        error.message = `Minifying error: ${error.message}`;
+        this._handleError(error);
+        return;
+      } finally {
+        this._downloadButtonUi.done();
+      }
+    }
+
+    this._updateStepThrough(settings);
+
     const cacheMatch = this._cache.match(settings.fingerprint);
 
     if (cacheMatch) {
       this._updateForFile(cacheMatch, {
         compareToFile: this._inputItem,
         compress: settings.gzip,
+        visualDiffThreshold: settings.visualDiffThreshold,
       });
+      this._setBatchItemResult(this._activeBatchItem, cacheMatch, settings);
+      this._compressBatch(settings, thisJobId);
       return;
     }
 
     this._downloadButtonUi.working();
 
     try {
-      let svgText = this._inputItem.text;
-      if (settings.remUnusedTextCode) svgText = removeUnusedTextCode(svgText);
-      if (settings.remUnusualAttributes)
-        svgText = removeUnusualAttributes(svgText);
-      const resultFile0 = await svgo.process(svgText, settings);
-      let resultFile;
-      if (settings.remUnusedTextCode || settings.remUnusualAttributes) {
-        svgText = settings.remUnusedTextCode
-          ? removeUnusedTextCode(resultFile0.text)
-          : resultFile0.text;
-        if (settings.remUnusualAttributes)
-          svgText = removeUnusualAttributes(svgText);
-        resultFile = await svgo.process(svgText, settings);
-      } else resultFile = resultFile0;
+      const resultFile = await this._optimizeSvg(
+        this._inputItem.text,
+        settings,
+      );
 
       this._updateForFile(resultFile, {
         compareToFile: this._inputItem,
         compress: settings.gzip,
+        visualDiffThreshold: settings.visualDiffThreshold,
       });
 
       this._cache.add(settings.fingerprint, resultFile);
+      this._setBatchItemResult(this._activeBatchItem, resultFile, settings);
     } catch (error) {
       if (error.name === 'AbortError') return;
       error.message = `Minifying error: ${error.message}`;
@@ -321,12 +1155,384 @@ export default class MainController {
     } finally {
       this._downloadButtonUi.done();
     }
+
+    this._compressBatch(settings, thisJobId);
+  }
+
+  // Runs the rest of a multi-file load through the same pipeline, one by one
+  async _compressBatch(settings, jobId) {
+    for (const item of this._batchItems) {
+      if (item === this._activeBatchItem || !item.inputItem) continue;
+
+      if (item.fingerprint === settings.fingerprint) {
+        // still current, but the gzip setting may have changed
+        this._setBatchItemResult(item, item.resultFile, settings);
+        continue;
+      }
+
+      item.error = null;
+      this._batchListUi.updateItem(item);
+
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        const resultFile = await this._optimizeSvg(
+          item.inputItem.text,
+          settings,
+        );
+        if (jobId !== this._latestCompressJobId) return;
+        this._setBatchItemResult(item, resultFile, settings);
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        if (jobId !== this._latestCompressJobId) return;
+        item.resultFile = null;
+        item.fingerprint = null;
+        item.error = new Error(`Minifying error: ${error.message}`);
+        this._batchListUi.updateItem(item);
+        if (this._inlineSource) this._updateInlineSourceResult(settings);
+      }
+    }
+  }
+
+  async _setBatchItemResult(item, resultFile, settings) {
+    if (!item) return;
+
+    item.resultFile = resultFile;
+    item.fingerprint = settings.fingerprint;
+    item.error = null;
+    if (this._inlineSource) this._updateInlineSourceResult(settings);
+
+    this._batchListUi.updateItem(item, {
+      comparisonSize: await item.inputItem.size({ compress: settings.gzip }),
+      size: await resultFile.size({ compress: settings.gzip }),
+    });
   }
 
-  async _updateForFile(svgFile, { compareToFile, compress }) {
-    this._outputUi.update(svgFile);
-    this._downloadButtonUi.setDownload(this._inputFilename, svgFile);
-    this._copyButtonUi.setCopyText(svgFile.text);
+  /**
+   * Looks for the lowest precisions whose output stays within the visual
+   * change budget, and moves the sliders to them.
+   * @returns {Promise<object>} Settings with the chosen precisions
+   */
+  async _autoTunePrecision(settings, jobId) {
+    const inputItem = this._inputItem;
+    const budget = Number(settings.visualDiffThreshold);
+    // the search only needs redoing if something that changes the output did
+    const tuningKey = `${settings.tuningFingerprint},${budget}`;
+
+    if (!this._tunedPrecisions.has(inputItem)) {
+      this._tunedPrecisions.set(inputItem, new Map());
+    }
+
+    const tunedPrecisions = this._tunedPrecisions.get(inputItem);
+
+    if (tunedPrecisions.has(tuningKey)) {
+      return this._setTunedPrecisions(tunedPrecisions.get(tuningKey));
+    }
+
+    const compress = settings.gzip;
+    // "floatPrecision,transformPrecision" -> result
+    const tried = new Map();
+
+    const tryPrecision = async (floatPrecision, transformPrecision) => {
+      const key = `${floatPrecision},${transformPrecision}`;
+
+      if (!tried.has(key)) {
+        const svgFile = await this._optimizeSvg(inputItem.text, {
+          ...settings,
+          floatPrecision,
+          transformPrecision,
+        });
+        const { score } = await this._getVisualDiff(svgFile);
+        const size = await svgFile.size({ compress });
+
+        // rasterizing happens outside the workers, so abort() can miss it
+        if (jobId !== this._latestCompressJobId) {
+          throw new DOMException('AbortError', 'AbortError');
+        }
+
+        tried.set(key, {
+          floatPrecision,
+          transformPrecision,
+          svgFile,
+          size,
+          withinBudget: score <= budget,
+        });
+      }
+
+      return tried.get(key);
+    };
+
+    // Raising a precision rarely makes the output look worse, so walk each
+    // one up in turn until the result looks close enough to the original.
+    // One run at a time, so an abort stops the whole search.
+    let floatPrecision = 0;
+
+    for (; floatPrecision < maxPrecision; floatPrecision++) {
+      // eslint-disable-next-line no-await-in-loop
+      const { withinBudget } = await tryPrecision(floatPrecision, maxPrecision);
+      if (withinBudget) break;
+    }
+
+    for (
+      let transformPrecision = 0;
+      transformPrecision < maxPrecision;
+      transformPrecision++
+    ) {
+      // eslint-disable-next-line no-await-in-loop
+      const { withinBudget } = await tryPrecision(
+        floatPrecision,
+        transformPrecision,
+      );
+      if (withinBudget) break;
+    }
+
+    const [best] = [...tried.values()]
+      .filter(({ withinBudget }) => withinBudget)
+      .sort((a, b) => a.size - b.size);
+    const chosen = best || (await tryPrecision(maxPrecision, maxPrecision));
+
+    tunedPrecisions.set(tuningKey, {
+      floatPrecision: chosen.floatPrecision,
+      transformPrecision: chosen.transformPrecision,
+    });
+
+    const tunedSettings = this._setTunedPrecisions(chosen);
+    this._cache.add(tunedSettings.fingerprint, chosen.svgFile);
+
+    return tunedSettings;
+  }
+
+  // Moves the sliders to auto precision's picks
+  _setTunedPrecisions({ floatPrecision, transformPrecision }) {
+    this._settingsUi.setSettings({ floatPrecision, transformPrecision });
+
+    const tunedSettings = this._settingsUi.getSettings();
+    this._saveSettings(tunedSettings);
+    setSettingsInUrl(tunedSettings, this._settingsUi.getDefaultSettings());
+
+    return tunedSettings;
+  }
+
+  async _onSourceEdit({ text }) {
+    let inputItem;
+
+    try {
+      inputItem = await svgo.wrapOriginal(text);
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      this._outputUi.setSourceError(error);
+      return;
+    }
+
+    this._outputUi.setSourceError(null);
+    this._inputItem = inputItem;
+    if (this._activeBatchItem) this._activeBatchItem.inputItem = inputItem;
+    this._cache.purge();
+    this._compressSvg(this._settingsUi.getSettings());
+  }
+
+  async _updateStepThrough(settings) {
+    if (!settings.stepThrough || settings.original) {
+      stepper.abort();
+      this._stepThroughUi.setSteps(null);
+      return;
+    }
+
+    const inputItem = this._inputItem;
+
+    try {
+      const steps = await this._getOptimizeSteps(inputItem.text, settings);
+
+      // something else may have been loaded in the meantime
+      if (inputItem !== this._inputItem) return;
+
+      this._stepThroughUi.setSteps([
+        { name: 'Original', svgFile: inputItem },
+        ...steps,
+      ]);
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      error.message = `Step through error: ${error.message}`;
+      this._handleError(error);
+    }
+  }
+
+  // The documents _optimizeSvg goes through, clean-ups included, so the last
+  // step is the real result
+  async _getOptimizeSteps(svgText, settings) {
+    const cleansUp = cleansUpText(settings);
+    const steps = [];
+
+    const addCleanUpStep = async (text) => {
+      const svgFile = await stepper.wrapOriginal(cleanUpText(text, settings));
+      steps.push({ name: 'Text & attribute clean-up', svgFile });
+      return svgFile.text;
+    };
+
+    let text = cleansUp ? await addCleanUpStep(svgText) : svgText;
+    steps.push(...(await stepper.steps(text, settings)));
+
+    if (cleansUp) {
+      text = await addCleanUpStep(steps.at(-1).svgFile.text);
+      const secondRun = await stepper.steps(text, settings);
+      steps.push(
+        ...secondRun.map((step) => ({
+          ...step,
+          name: `${step.name} (second run)`,
+        })),
+      );
+    }
+
+    return steps;
+  }
+
+  // Shows the step without making it what's copied & downloaded
+  _onStepSelect({ svgFile }) {
+    const settings = this._settingsUi.getSettings();
+
+    this._updateForFile(svgFile, {
+      compareToFile: this._inputItem,
+      compress: settings.gzip,
+      visualDiffThreshold: settings.visualDiffThreshold,
+      exportable: false,
+    });
+  }
+
+  async _onFindVisualChange() {
+    const { steps } = this._stepThroughUi;
+    const threshold = Number(
+      this._settingsUi.getSettings().visualDiffThreshold,
+    );
+
+    this._stepThroughUi.finding(true);
+
+    try {
+      for (const [index, { svgFile }] of steps.entries()) {
+        if (index === 0) continue;
+
+        // one at a time, as the first match is all that's needed
+        // eslint-disable-next-line no-await-in-loop
+        const { score } = await this._getVisualDiff(svgFile);
+
+        // the steps have been replaced while waiting
+        if (this._stepThroughUi.steps !== steps) return;
+
+        if (score > threshold) {
+          this._stepThroughUi.setStep(index);
+          return;
+        }
+      }
+
+      this._toastsUi.show('No step changes the image noticeably', {
+        duration: 3000,
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      this._handleError(error);
+    } finally {
+      this._stepThroughUi.finding(false);
+    }
+  }
+
+  async _onAnalyse() {
+    if (!this._inputItem) return;
+
+    this._outputUi.analysisWorking();
+
+    try {
+      this._outputUi.setAnalysis(
+        await analyser.analyse(
+          this._inputItem.text,
+          this._settingsUi.getSettings(),
+        ),
+      );
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      this._outputUi.setAnalysis(null);
+      error.message = `Analysis error: ${error.message}`;
+      this._handleError(error);
+    }
+  }
+
+  async _optimizeSvg(svgText, settings) {
+    const resultFile = await svgo.process(
+      cleanUpText(svgText, settings),
+      settings,
+    );
+
+    // the clean-ups can leave more for SVGO to do
+    if (!cleansUpText(settings)) return resultFile;
+
+    return svgo.process(cleanUpText(resultFile.text, settings), settings);
+  }
+
+  // Compared to the current input. Memoised, as results are often shown again.
+  _getVisualDiff(svgFile) {
+    if (!this._visualDiffs.has(svgFile)) {
+      const visualDiff = pixelDiff.compare(this._inputItem, svgFile);
+      this._visualDiffs.set(svgFile, visualDiff);
+      visualDiff.catch(() => this._visualDiffs.delete(svgFile));
+    }
+
+    return this._visualDiffs.get(svgFile);
+  }
+
+  async _updateVisualDiff(svgFile, originalFile, threshold) {
+    this._visualDiffFile = svgFile;
+    this._outputUi.setHeatmap(null);
+    this._heatmapButtonUi.setAvailable(false);
+    this._resultsUi.setVisualDiff(null);
+    if (this._visualDiffToast) this._visualDiffToast.hide();
+    this._visualDiffToast = null;
+
+    if (svgFile === originalFile) return;
+
+    let visualDiff;
+
+    try {
+      visualDiff = await this._getVisualDiff(svgFile);
+    } catch (error) {
+      // not being able to render is no reason to interrupt the user
+      if (error.name !== 'AbortError') console.error(error);
+      return;
+    }
+
+    // a newer result is being shown
+    if (this._visualDiffFile !== svgFile) return;
+
+    const { score, heatmap } = visualDiff;
+    const overThreshold = score > threshold;
+
+    this._outputUi.setHeatmap(heatmap);
+    this._heatmapButtonUi.setAvailable(true);
+    this._resultsUi.setVisualDiff(score, { overThreshold });
+
+    if (overThreshold) {
+      this._visualDiffToast = this._toastsUi.show(
+        `Visible change: ${Math.round(score * 100) / 100}% of pixels differ`,
+        { duration: 5000 },
+      );
+    }
+  }
+
+  async _updateForFile(
+    svgFile,
+    { compareToFile, compress, visualDiffThreshold, exportable = true },
+  ) {
+    this._outputUi.update(svgFile, this._inputItem);
+    // the analysis was for the previous result
+    analyser.abort();
+    this._outputUi.setAnalysis(null);
+
+    if (exportable) {
+      this._exportSourceFile = svgFile;
+      this._updateExport();
+    }
+
+    this._updateVisualDiff(
+      svgFile,
+      this._inputItem,
+      Number(visualDiffThreshold),
+    );
 
     this._resultsUi.update({
       comparisonSize: compareToFile && (await compareToFile.size({ compress })),
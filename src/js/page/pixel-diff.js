@@ -0,0 +1,50 @@
+import WorkerMessenger from './worker-messenger.js';
+import { rasterize } from './raster.js';
+
+// Big enough to catch shifted geometry, small enough to stay quick
+const maxDiffSize = 512;
+const fallbackSize = 256;
+
+// Both files are drawn at the size of the original, scaled down if huge
+function getDiffSize({ width, height }) {
+  if (!(width > 0) || !(height > 0)) {
+    return { width: fallbackSize, height: fallbackSize };
+  }
+
+  const scale = Math.min(1, maxDiffSize / Math.max(width, height));
+
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale)),
+  };
+}
+
+class PixelDiff extends WorkerMessenger {
+  constructor() {
+    super('js/pixel-diff-worker.js');
+  }
+
+  /**
+   * @returns {Promise<{ score: number, heatmap: ImageData }>} score is the
+   * percentage of pixels that visibly changed
+   */
+  async compare(originalFile, svgFile) {
+    const { width, height } = getDiffSize(originalFile);
+    const [original, optimized] = await Promise.all([
+      rasterize(originalFile, width, height),
+      rasterize(svgFile, width, height),
+    ]);
+
+    const { score, heatmap } = await this.requestResponse({
+      original: original.data.buffer,
+      optimized: optimized.data.buffer,
+    });
+
+    return {
+      score,
+      heatmap: new ImageData(new Uint8ClampedArray(heatmap), width, height),
+    };
+  }
+}
+
+export const pixelDiff = new PixelDiff();
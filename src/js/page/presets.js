@@ -0,0 +1,62 @@
+// Only plugins are reset before a preset is applied, so these are given by
+// every built-in preset, to undo the ones that change them
+const optimizationDefaults = {
+  multipass: false,
+  floatPrecision: 2,
+  transformPrecision: 2,
+  remUnusedTextCode: true,
+};
+
+// Built-in presets only list the plugins that differ from the defaults
+export const builtInPresets = [
+  {
+    name: 'Default',
+    settings: { ...optimizationDefaults },
+  },
+  {
+    name: 'Icon for inline React',
+    settings: {
+      ...optimizationDefaults,
+      multipass: true,
+      plugins: {
+        removeXMLNS: true,
+        removeViewBox: false,
+        removeDimensions: true,
+        prefixIds: true,
+      },
+    },
+  },
+  {
+    name: 'Illustration for <img>',
+    settings: {
+      ...optimizationDefaults,
+      multipass: true,
+      plugins: {
+        removeViewBox: false,
+        removeRasterImages: false,
+        reusePaths: true,
+      },
+    },
+  },
+  {
+    name: 'Lossless archive',
+    settings: {
+      ...optimizationDefaults,
+      floatPrecision: 8,
+      transformPrecision: 8,
+      remUnusedTextCode: false,
+      plugins: {
+        removeMetadata: false,
+        removeTitle: false,
+        removeDesc: false,
+        removeViewBox: false,
+        removeHiddenElems: false,
+        cleanupNumericValues: false,
+        convertPathData: false,
+        convertTransform: false,
+        mergePaths: false,
+        removeOffCanvasPaths: false,
+      },
+    },
+  },
+];
@@ -0,0 +1,152 @@
+// Browsers give up on canvases much bigger than this
+const maxRasterSize = 8192;
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error("Couldn't render SVG"));
+    img.src = src;
+  });
+}
+
+// With contentSize, the image is fitted, keeping its aspect ratio, within a
+// centred square of that fraction of the canvas. Otherwise it fills it.
+async function drawToCanvas(
+  { text, width: svgWidth, height: svgHeight },
+  width,
+  height,
+  { background, contentSize } = {},
+) {
+  const img = await loadImage(`data:image/svg+xml,${encodeURIComponent(text)}`);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+
+  const context = canvas.getContext('2d');
+
+  if (background) {
+    context.fillStyle = background;
+    context.fillRect(0, 0, width, height);
+  }
+
+  if (!contentSize) {
+    context.drawImage(img, 0, 0, width, height);
+    return { canvas, context };
+  }
+
+  // the extracted size is more reliable than the image's, for viewBox-only
+  // SVGs
+  const imgWidth = svgWidth || img.naturalWidth || 1;
+  const imgHeight = svgHeight || img.naturalHeight || 1;
+  const box = Math.min(width, height) * contentSize;
+  const scale = box / Math.max(imgWidth, imgHeight);
+  const drawWidth = imgWidth * scale;
+  const drawHeight = imgHeight * scale;
+
+  context.drawImage(
+    img,
+    (width - drawWidth) / 2,
+    (height - drawHeight) / 2,
+    drawWidth,
+    drawHeight,
+  );
+  return { canvas, context };
+}
+
+export async function rasterize(svgFile, width, height) {
+  const { context } = await drawToCanvas(svgFile, width, height);
+  return context.getImageData(0, 0, width, height);
+}
+
+/**
+ * @param {import('./svg-file.js').default} svgFile
+ * @param {{ width: number, height: number }} size
+ * @param {{ type: string, background?: string, contentSize?: number }} options
+ * background is a CSS colour, or transparent if missing
+ * @returns {Promise<Blob>}
+ */
+export async function renderRaster(
+  svgFile,
+  { width, height },
+  { type, background, contentSize },
+) {
+  const { canvas } = await drawToCanvas(svgFile, width, height, {
+    background,
+    contentSize,
+  });
+  const blob = await new Promise((resolve) => {
+    canvas.toBlob(resolve, type);
+  });
+
+  if (!blob) throw new Error("Couldn't create image");
+  // browsers fall back to PNG for types they can't encode
+  if (blob.type !== type) {
+    throw new Error(`This browser can't create ${type} images`);
+  }
+
+  return blob;
+}
+
+/**
+ * Turns sizes like "1x, 2x, 512, 64x32" into pixel sizes. Scales multiply the
+ * SVG's own size, a single number is a width.
+ * @param {string} text
+ * @param {{ width: number, height: number }} svgSize
+ * @returns {Array<{ width: number, height: number, suffix: string }>}
+ */
+export function parseRasterSizes(text, { width, height }) {
+  const hasSize = width > 0 && height > 0;
+  const aspectRatio = hasSize ? width / height : 1;
+  const sizes = [];
+
+  for (const token of text.toLowerCase().split(/[\s,]+/)) {
+    if (!token) continue;
+
+    let match;
+    let size;
+
+    if ((match = /^(\d*\.?\d+)x$/.exec(token))) {
+      if (!hasSize) {
+        throw new Error(`The SVG has no size to scale by ${token}`);
+      }
+
+      const scale = Number(match[1]);
+      size = {
+        width: Math.round(width * scale),
+        height: Math.round(height * scale),
+        suffix: scale === 1 ? '' : `@${scale}x`,
+      };
+    } else if ((match = /^(\d+)(?:px)?$/.exec(token))) {
+      const sizeWidth = Number(match[1]);
+      const sizeHeight = Math.round(sizeWidth / aspectRatio);
+      size = {
+        width: sizeWidth,
+        height: sizeHeight,
+        suffix: `-${sizeWidth}x${sizeHeight}`,
+      };
+    } else if ((match = /^(\d+)x(\d+)$/.exec(token))) {
+      size = {
+        width: Number(match[1]),
+        height: Number(match[2]),
+        suffix: `-${match[1]}x${match[2]}`,
+      };
+    } else {
+      throw new Error(`Unrecognised size "${token}"`);
+    }
+
+    if (
+      !(size.width >= 1 && size.height >= 1) ||
+      Math.max(size.width, size.height) > maxRasterSize
+    ) {
+      throw new Error(
+        `${token} gives ${size.width}×${size.height}, sizes must be 1–${maxRasterSize} pixels`,
+      );
+    }
+
+    if (!sizes.some(({ suffix }) => suffix === size.suffix)) sizes.push(size);
+  }
+
+  if (sizes.length === 0) throw new Error('No sizes given');
+  return sizes;
+}
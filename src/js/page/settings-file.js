@@ -0,0 +1,308 @@
+import { createSvgoConfig } from '../utils/svgo-config.js';
+
+// Members of SVGO's preset-default, so it can be expanded on import
+const presetDefaultPlugins = [
+  'removeDoctype',
+  'removeXMLProcInst',
+  'removeComments',
+  'removeMetadata',
+  'removeEditorsNSData',
+  'cleanupAttrs',
+  'mergeStyles',
+  'inlineStyles',
+  'minifyStyles',
+  'cleanupIDs',
+  'removeUselessDefs',
+  'cleanupNumericValues',
+  'convertColors',
+  'removeUnknownsAndDefaults',
+  'removeNonInheritableGroupAttrs',
+  'removeUselessStrokeAndFill',
+  'removeViewBox',
+  'cleanupEnableBackground',
+  'removeHiddenElems',
+  'removeEmptyText',
+  'convertShapeToPath',
+  'convertEllipseToCircle',
+  'moveElemsAttrsToGroup',
+  'moveGroupAttrsToElems',
+  'collapseGroups',
+  'convertPathData',
+  'convertTransform',
+  'removeEmptyAttrs',
+  'removeEmptyContainers',
+  'mergePaths',
+  'removeUnusedNS',
+  'sortAttrs',
+  'sortDefsChildren',
+  'removeTitle',
+  'removeDesc',
+];
+
+const maxPrecision = 8;
+
+function toExportableConfig(settings) {
+  const config = createSvgoConfig(settings);
+
+  return {
+    multipass: config.multipass,
+    js2svg: config.js2svg,
+    // plugins without params are written by name, like the SVGO docs do
+    plugins: config.plugins.map((plugin) =>
+      Object.keys(plugin.params).length === 0 ? plugin.name : plugin,
+    ),
+  };
+}
+
+export function exportAsSvgoConfigJs(settings) {
+  return (
+    '// Generated by SVGOMG\n' +
+    "/** @type {import('svgo').Config} */\n" +
+    `module.exports = ${JSON.stringify(
+      toExportableConfig(settings),
+      null,
+      2,
+    )};\n`
+  );
+}
+
+export function exportAsJson(settings) {
+  return `${JSON.stringify(toExportableConfig(settings), null, 2)}\n`;
+}
+
+/**
+ * Parses the subset of JS that config files are written in:
+ * object & array literals, strings, numbers, booleans and null.
+ */
+function parseLiteral(text, start) {
+  let pos = start;
+
+  function createError(message) {
+    const line = text.slice(0, pos).split('\n').length;
+    return new Error(`${message} on line ${line}`);
+  }
+
+  function skipSpaceAndComments() {
+    for (;;) {
+      const rest = text.slice(pos);
+      const match = /^(?:\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/)/.exec(rest);
+      if (!match) return;
+      pos += match[0].length;
+    }
+  }
+
+  function readPattern(pattern) {
+    pattern.lastIndex = pos;
+    const match = pattern.exec(text);
+    if (!match) return null;
+    pos += match[0].length;
+    return match[0];
+  }
+
+  function parseString() {
+    const quote = text[pos++];
+    let result = '';
+
+    for (;;) {
+      const char = text[pos++];
+
+      if (char === undefined) throw createError('Unterminated string');
+      if (char === quote) return result;
+
+      if (quote === '`' && char === '$' && text[pos] === '{') {
+        throw createError('Template expressions are not supported');
+      }
+
+      if (char === '\\') {
+        const escaped = text[pos++];
+        result += { n: '\n', r: '\r', t: '\t' }[escaped] || escaped;
+      } else {
+        result += char;
+      }
+    }
+  }
+
+  function parseArray() {
+    const result = [];
+    pos++;
+
+    for (;;) {
+      skipSpaceAndComments();
+      if (text[pos] === ']') {
+        pos++;
+        return result;
+      }
+
+      result.push(parseValue());
+      skipSpaceAndComments();
+
+      if (text[pos] === ',') {
+        pos++;
+      } else if (text[pos] !== ']') {
+        throw createError('Expected "," or "]"');
+      }
+    }
+  }
+
+  function parseObject() {
+    const result = {};
+    pos++;
+
+    for (;;) {
+      skipSpaceAndComments();
+      if (text[pos] === '}') {
+        pos++;
+        return result;
+      }
+
+      const key =
+        text[pos] === '"' || text[pos] === "'"
+          ? parseString()
+          : readPattern(/[A-Za-z_$][\w$]*/y);
+
+      if (key === null) throw createError('Expected a property name');
+      skipSpaceAndComments();
+      if (text[pos] !== ':') {
+        throw createError(`Unsupported value for "${key}"`);
+      }
+
+      pos++;
+      result[key] = parseValue();
+      skipSpaceAndComments();
+
+      if (text[pos] === ',') {
+        pos++;
+      } else if (text[pos] !== '}') {
+        throw createError('Expected "," or "}"');
+      }
+    }
+  }
+
+  function parseValue() {
+    skipSpaceAndComments();
+    const char = text[pos];
+
+    if (char === '{') return parseObject();
+    if (char === '[') return parseArray();
+    if (char === '"' || char === "'" || char === '`') return parseString();
+
+    const number = readPattern(/-?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?/iy);
+    if (number !== null) return Number(number);
+
+    const identifier = readPattern(/[A-Za-z_$][\w$]*/y);
+    const literals = new Map([
+      ['true', true],
+      ['false', false],
+      ['null', null],
+    ]);
+    if (literals.has(identifier)) return literals.get(identifier);
+
+    throw createError(
+      identifier ? `Unsupported value "${identifier}"` : 'Unexpected input',
+    );
+  }
+
+  return parseValue();
+}
+
+function parseConfigText(text) {
+  if (text.trim().startsWith('{')) return parseLiteral(text, 0);
+
+  const exportMatch = /(?:module\.exports\s*=|export\s+default)\s*/.exec(text);
+
+  if (!exportMatch) {
+    throw new Error('No "module.exports =" or "export default" found');
+  }
+
+  return parseLiteral(text, exportMatch.index + exportMatch[0].length);
+}
+
+/**
+ * Maps an svgo.config.js or JSON config onto settings for
+ * Settings#setSettings. `currentSettings` tells which plugins & params
+ * the UI knows about.
+ *
+ * @returns {{ settings: object, warnings: string[] }}
+ */
+export function importSvgoConfig(text, currentSettings) {
+  const config = parseConfigText(text);
+  const warnings = [];
+  const settings = { plugins: {}, pluginParams: {} };
+
+  if (typeof config !== 'object' || config === null) {
+    throw new Error('Config is not an object');
+  }
+
+  const setPrecision = (name, value) => {
+    if (settings[name] !== undefined) return;
+
+    if (value < 0 || value > maxPrecision) {
+      warnings.push(`${name} ${value} clamped to 0–${maxPrecision}`);
+    }
+
+    settings[name] = Math.min(Math.max(Math.round(value), 0), maxPrecision);
+  };
+
+  const enablePlugin = (name, params = {}) => {
+    if (!(name in currentSettings.plugins)) {
+      warnings.push(`Unknown plugin "${name}" ignored`);
+      return;
+    }
+
+    settings.plugins[name] = true;
+    const knownParams = currentSettings.pluginParams[name] || {};
+
+    for (const [key, value] of Object.entries(params)) {
+      if (key === 'floatPrecision' || key === 'transformPrecision') {
+        setPrecision(key, value);
+      } else if (key in knownParams) {
+        settings.pluginParams[name] = settings.pluginParams[name] || {};
+        settings.pluginParams[name][key] = value;
+      } else {
+        warnings.push(`Param "${key}" of "${name}" ignored`);
+      }
+    }
+  };
+
+  if ('multipass' in config) settings.multipass = Boolean(config.multipass);
+
+  if (config.js2svg) {
+    if ('pretty' in config.js2svg) {
+      settings.pretty = Boolean(config.js2svg.pretty);
+    }
+
+    if ('indent' in config.js2svg && config.js2svg.indent !== 2) {
+      warnings.push('js2svg.indent ignored, SVGOMG always indents by 2');
+    }
+  }
+
+  if (typeof config.floatPrecision === 'number') {
+    setPrecision('floatPrecision', config.floatPrecision);
+  }
+
+  for (const name of Object.keys(currentSettings.plugins)) {
+    settings.plugins[name] = false;
+  }
+
+  // SVGO uses preset-default when no plugins are given
+  for (const plugin of config.plugins || ['preset-default']) {
+    const { name, params, fn } =
+      typeof plugin === 'string' ? { name: plugin } : plugin;
+
+    if (fn) {
+      warnings.push(`Custom plugin "${name}" ignored`);
+    } else if (name === 'preset-default') {
+      const overrides = (params && params.overrides) || {};
+
+      for (const presetPlugin of presetDefaultPlugins) {
+        const override = overrides[presetPlugin];
+        if (override === false) continue;
+        enablePlugin(presetPlugin, override === true ? {} : override);
+      }
+    } else {
+      enablePlugin(name, params);
+    }
+  }
+
+  return { settings, warnings };
+}
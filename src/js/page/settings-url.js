@@ -0,0 +1,158 @@
+const hashParam = 'settings';
+
+// these are about the current session rather than the optimisation
+const ignoredSettings = new Set([
+  'original',
+  'fingerprint',
+  'tuningFingerprint',
+]);
+
+function toBase64Url(str) {
+  const bytes = new TextEncoder().encode(str);
+  return btoa(String.fromCodePoint(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+function fromBase64Url(str) {
+  const binary = atob(str.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(
+    Uint8Array.from(binary, (char) => char.codePointAt(0)),
+  );
+}
+
+function diffPluginParams(pluginParams, defaults) {
+  const diff = {};
+
+  for (const [name, params] of Object.entries(pluginParams)) {
+    for (const [param, value] of Object.entries(params)) {
+      const defaultValue = defaults[name][param];
+      if (JSON.stringify(value) === JSON.stringify(defaultValue)) continue;
+
+      diff[name] = diff[name] || {};
+      diff[name][param] = value;
+    }
+  }
+
+  return diff;
+}
+
+// Only keeps what differs from the defaults, to keep urls short
+function diffSettings(settings, defaults) {
+  const diff = {};
+
+  for (const [key, value] of Object.entries(settings)) {
+    if (ignoredSettings.has(key)) continue;
+
+    if (key === 'plugins') {
+      const plugins = {};
+
+      for (const [name, enabled] of Object.entries(value)) {
+        if (enabled !== defaults.plugins[name]) plugins[name] = Number(enabled);
+      }
+
+      if (Object.keys(plugins).length > 0) diff.plugins = plugins;
+    } else if (key === 'pluginParams') {
+      const pluginParams = diffPluginParams(value, defaults.pluginParams);
+
+      if (Object.keys(pluginParams).length > 0) {
+        diff.pluginParams = pluginParams;
+      }
+    } else if (String(value) !== String(defaults[key])) {
+      diff[key] = value;
+    }
+  }
+
+  return diff;
+}
+
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+function pickKnownPluginParams(pluginParams, defaults) {
+  const known = {};
+
+  for (const [name, params] of Object.entries(pluginParams)) {
+    if (!Object.hasOwn(defaults, name) || !isPlainObject(params)) continue;
+    known[name] = {};
+
+    for (const [param, value] of Object.entries(params)) {
+      if (Object.hasOwn(defaults[name], param)) known[name][param] = value;
+    }
+  }
+
+  return known;
+}
+
+// Drops anything the defaults don't have, links may be hand-edited or old
+function pickKnownSettings(linked, defaults) {
+  const settings = {};
+
+  for (const [key, value] of Object.entries(linked)) {
+    if (!Object.hasOwn(defaults, key) || ignoredSettings.has(key)) continue;
+
+    if (key === 'plugins') {
+      if (!isPlainObject(value)) continue;
+      settings.plugins = {};
+
+      for (const [name, enabled] of Object.entries(value)) {
+        if (!Object.hasOwn(defaults.plugins, name)) continue;
+        settings.plugins[name] = Boolean(enabled);
+      }
+    } else if (key === 'pluginParams') {
+      if (!isPlainObject(value)) continue;
+      settings.pluginParams = pickKnownPluginParams(
+        value,
+        defaults.pluginParams,
+      );
+    } else if (typeof value !== 'object') {
+      settings[key] = value;
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * @param {object} defaults From Settings#getDefaultSettings
+ * @returns {object | null} Partial settings for Settings#setSettings
+ */
+export function getSettingsFromUrl(defaults) {
+  const encoded = new URLSearchParams(location.hash.slice(1)).get(hashParam);
+  if (!encoded) return null;
+
+  let settings;
+
+  try {
+    settings = JSON.parse(fromBase64Url(encoded));
+  } catch {
+    settings = null;
+  }
+
+  if (!isPlainObject(settings)) {
+    throw new Error("Couldn't read the settings in this link");
+  }
+
+  return pickKnownSettings(settings, defaults);
+}
+
+export function setSettingsInUrl(settings, defaults) {
+  const diff = diffSettings(settings, defaults);
+  const url = new URL(location.href);
+
+  url.hash =
+    Object.keys(diff).length > 0
+      ? `${hashParam}=${toBase64Url(JSON.stringify(diff))}`
+      : '';
+
+  // replace rather than push, so the back button isn't full of slider moves
+  history.replaceState(null, '', url.href);
+}
+
+export function clearSettingsInUrl() {
+  const url = new URL(location.href);
+  url.hash = '';
+  history.replaceState(null, '', url.href);
+}
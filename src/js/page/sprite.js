@@ -0,0 +1,283 @@
+import { escapeHTML } from './utils.js';
+import { parseSvg, getClassName } from './exporters/utils.js';
+
+const svgNs = 'http://www.w3.org/2000/svg';
+
+// Root attributes that describe the document rather than style the content
+const documentAttributes = new Set([
+  'version',
+  'viewBox',
+  'width',
+  'height',
+  'x',
+  'y',
+  'preserveAspectRatio',
+]);
+
+/**
+ * One unique, id-safe name per file: "arrow-left", "arrow-left-2"…
+ * @param {string[]} filenames
+ */
+export function getSymbolIds(filenames) {
+  const used = new Set();
+
+  return filenames.map((filename) => {
+    const base = getClassName(filename);
+    let id = base;
+
+    for (let i = 2; used.has(id); i++) id = `${base}-${i}`;
+
+    used.add(id);
+    return id;
+  });
+}
+
+function getViewBox(svg) {
+  const viewBox = svg.getAttribute('viewBox');
+  if (viewBox) return viewBox;
+
+  const width = Number.parseFloat(svg.getAttribute('width')) || 0;
+  const height = Number.parseFloat(svg.getAttribute('height')) || 0;
+  return `0 0 ${width} ${height}`;
+}
+
+// Points url(#a), href="#a" and the like at a different id
+function replaceReferences(root, fromId, toId) {
+  const escaped = fromId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const referenceRe = new RegExp(`#${escaped}(?![\\w.-])`, 'g');
+
+  for (const element of [root, ...root.querySelectorAll('*')]) {
+    for (const attribute of element.attributes) {
+      attribute.value = attribute.value.replace(referenceRe, `#${toId}`);
+    }
+
+    if (element.localName === 'style') {
+      element.textContent = element.textContent.replace(
+        referenceRe,
+        `#${toId}`,
+      );
+    }
+  }
+}
+
+// Compares defs by what they are, rather than what they're called
+function getDefKey(element) {
+  const clone = element.cloneNode(true);
+  clone.removeAttribute('id');
+  return new XMLSerializer().serializeToString(clone);
+}
+
+/**
+ * Combines icons into a sprite of <symbol>s, with their <defs> shared and
+ * deduplicated. ids within each icon should already be prefixed, so they
+ * can't collide, see Svgo#prefixIds.
+ * @param {Array<{ id: string, text: string }>} icons
+ * @returns {{ text: string, symbols: Array<{ id: string, viewBox: string }> }}
+ */
+export function buildSprite(icons) {
+  const spriteDoc = new DOMParser().parseFromString(
+    `<svg xmlns="${svgNs}"><defs/></svg>`,
+    'image/svg+xml',
+  );
+  const spriteSvg = spriteDoc.documentElement;
+  const spriteDefs = spriteSvg.firstChild;
+  // def key -> id of the def already in the sprite
+  const defIds = new Map();
+  const symbols = [];
+
+  for (const { id, text } of icons) {
+    const svg = parseSvg(text);
+    const viewBox = getViewBox(svg);
+    const symbol = spriteDoc.createElementNS(svgNs, 'symbol');
+
+    for (const defs of svg.querySelectorAll('defs')) {
+      for (const def of defs.children) {
+        const key = getDefKey(def);
+
+        if (def.id && defIds.has(key)) {
+          replaceReferences(svg, def.id, defIds.get(key));
+          replaceReferences(spriteDefs, def.id, defIds.get(key));
+          def.remove();
+          continue;
+        }
+
+        if (def.id) defIds.set(key, def.id);
+        spriteDefs.append(spriteDoc.importNode(def, true));
+      }
+
+      defs.remove();
+    }
+
+    symbol.id = id;
+    symbol.setAttribute('viewBox', viewBox);
+
+    // styles on the root, like fill="none", still need to apply
+    const styleAttributes = [...svg.attributes].filter(
+      ({ name }) => !documentAttributes.has(name) && !name.startsWith('xmlns'),
+    );
+    let content = symbol;
+
+    if (styleAttributes.length > 0) {
+      content = spriteDoc.createElementNS(svgNs, 'g');
+      for (const { name, value } of styleAttributes) {
+        content.setAttribute(name, value);
+      }
+
+      symbol.append(content);
+    }
+
+    for (const child of svg.childNodes) {
+      content.append(spriteDoc.importNode(child, true));
+    }
+
+    spriteSvg.append(symbol);
+    symbols.push({ id, viewBox });
+  }
+
+  if (!spriteDefs.hasChildNodes()) spriteDefs.remove();
+
+  return {
+    text: new XMLSerializer().serializeToString(spriteSvg),
+    symbols,
+  };
+}
+
+/**
+ * A standalone SVG showing one symbol of the sprite, for previews.
+ * @param {{ text: string }} sprite
+ * @param {{ id: string, viewBox: string }} symbol
+ */
+export function getSymbolPreview({ text }, { id, viewBox }) {
+  return text
+    .replace(/^<svg /, `<svg viewBox="${viewBox}" `)
+    .replace(/<\/svg>$/, `<use href="#${id}"/></svg>`);
+}
+
+/**
+ * An HTML page showing each icon, and the markup to use it.
+ * @param {Array<{ id: string, viewBox: string }>} symbols
+ * @param {string} spriteFilename
+ */
+export function getSpriteUsage(symbols, spriteFilename) {
+  const items = symbols.map(({ id, viewBox }) => {
+    const markup = `<svg viewBox="${viewBox}" width="24" height="24"><use href="${spriteFilename}#${id}"/></svg>`;
+    return `    <li>${markup}<code>${escapeHTML(markup)}</code></li>`;
+  });
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '  <meta charset="utf-8">',
+    '  <title>Sprite usage</title>',
+    '  <style>',
+    '    body { font-family: sans-serif; }',
+    '    ul { list-style: none; padding: 0; }',
+    '    li { display: flex; align-items: center; gap: 1em; margin: 0.5em 0; }',
+    '    svg { width: 48px; height: 48px; flex-shrink: 0; }',
+    '  </style>',
+    '</head>',
+    '<body>',
+    `  <p>Each icon in <code>${escapeHTML(
+      spriteFilename,
+    )}</code>, and the markup to use it. Serve this page over HTTP, as browsers won't load sprites from <code>file:</code> URLs.</p>`,
+    '  <ul>',
+    ...items,
+    '  </ul>',
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+// ids an element points at, through url(#a), href="#a" and the like
+function getReferencedIds(element) {
+  const ids = new Set();
+  const referenceRe = /url\(\s*['"]?#([^'")\s]+)|^#(.+)$/g;
+
+  for (const node of [element, ...element.querySelectorAll('*')]) {
+    const values = [...node.attributes].map(({ value }) => value.trim());
+    if (node.localName === 'style') values.push(node.textContent);
+
+    for (const value of values) {
+      for (const match of value.matchAll(referenceRe)) {
+        ids.add(match[1] || match[2]);
+      }
+    }
+  }
+
+  return ids;
+}
+
+/**
+ * @param {string} svgText
+ * @returns {number} How many <symbol>s the document has
+ */
+export function countSymbols(svgText) {
+  return (svgText.match(/<symbol[\s>]/g) || []).length;
+}
+
+/**
+ * Turns each <symbol> of a sprite into a standalone SVG, with the defs &
+ * styles it needs.
+ * @param {string} svgText
+ * @returns {Array<{ filename: string, text: string }>}
+ */
+export function splitSprite(svgText) {
+  const sprite = parseSvg(svgText);
+  const symbols = [...sprite.querySelectorAll('symbol')];
+  const styles = [...sprite.querySelectorAll('style')].filter(
+    (style) => !style.closest('symbol'),
+  );
+  const serializer = new XMLSerializer();
+  const usedNames = new Set();
+
+  return symbols.map((symbol, index) => {
+    const doc = new DOMParser().parseFromString(
+      `<svg xmlns="${svgNs}"/>`,
+      'image/svg+xml',
+    );
+    const svg = doc.documentElement;
+    const defs = doc.createElementNS(svgNs, 'defs');
+
+    for (const { name, value } of symbol.attributes) {
+      if (name !== 'id') svg.setAttribute(name, value);
+    }
+
+    for (const style of styles) defs.append(doc.importNode(style, true));
+
+    // pull in what the symbol points at, and what that points at…
+    const added = new Set();
+    const toAdd = [...getReferencedIds(symbol)];
+
+    while (toAdd.length > 0) {
+      const id = toAdd.shift();
+      if (added.has(id)) continue;
+      added.add(id);
+
+      const target = sprite.querySelector(`[id="${CSS.escape(id)}"]`);
+      if (!target || symbol.contains(target)) continue;
+
+      defs.append(doc.importNode(target, true));
+      toAdd.push(...getReferencedIds(target));
+    }
+
+    if (defs.hasChildNodes()) svg.append(defs);
+
+    for (const child of symbol.childNodes) {
+      svg.append(doc.importNode(child, true));
+    }
+
+    const base = symbol.id || `symbol-${index + 1}`;
+    let name = base;
+
+    for (let i = 2; usedNames.has(name); i++) name = `${base}-${i}`;
+
+    usedNames.add(name);
+
+    return {
+      filename: `${name}.svg`,
+      text: serializer.serializeToString(svg),
+    };
+  });
+}
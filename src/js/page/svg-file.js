@@ -3,22 +3,25 @@ import { gzip } from './gzip.js';
 export default class SvgFile {
   constructor(text, width, height) {
     this.text = text;
-    this._compressedSize = null;
+    this._compressed = null;
     this._url = null;
     this.width = width;
     this.height = height;
   }
 
+  /**
+   * @returns {Promise<ArrayBuffer>} The gzipped text, as in an .svgz file
+   */
+  compressed() {
+    if (!this._compressed) this._compressed = gzip.compress(this.text);
+    return this._compressed;
+  }
+
   async size({ compress }) {
     if (!compress) return this.text.length;
 
-    if (!this._compressedSize) {
-      this._compressedSize = gzip
-        .compress(this.text)
-        .then((response) => response.byteLength);
-    }
-
-    return this._compressedSize;
+    const compressed = await this.compressed();
+    return compressed.byteLength;
   }
 
   get url() {
@@ -35,5 +38,6 @@ export default class SvgFile {
     if (!this._url) return;
 
     URL.revokeObjectURL(this._url);
+    this._url = null;
   }
 }
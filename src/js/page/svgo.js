@@ -16,6 +16,53 @@ export default class Svgo extends WorkerMessenger {
     return new SvgFile(svgText, width, height);
   }
 
+  /**
+   * @returns {Promise<{ size: number, gzipSize: number, plugins: Array<{ name: string, saved: number, gzipSaved: number }> }>}
+   */
+  analyse(svgText, settings) {
+    this.abort();
+
+    return this.requestResponse({
+      action: 'analyse',
+      settings,
+      data: svgText,
+    });
+  }
+
+  /**
+   * The document after each enabled plugin, in the order they run.
+   * @returns {Promise<Array<{ name: string, svgFile: SvgFile }>>}
+   */
+  async steps(svgText, settings) {
+    this.abort();
+
+    const steps = await this.requestResponse({
+      action: 'steps',
+      settings,
+      data: svgText,
+    });
+
+    return steps.map(({ name, data, dimensions }) => ({
+      name,
+      svgFile: new SvgFile(data, dimensions.width, dimensions.height),
+    }));
+  }
+
+  prefixIds(svgText, prefix) {
+    return this.requestResponse({
+      action: 'prefixIds',
+      data: svgText,
+      prefix,
+    });
+  }
+
+  prettify(svgText) {
+    return this.requestResponse({
+      action: 'prettify',
+      data: svgText,
+    });
+  }
+
   process(svgText, settings) {
     this.abort();
 
@@ -0,0 +1,17 @@
+import WorkerMessenger from './worker-messenger.js';
+
+class TextDiff extends WorkerMessenger {
+  constructor() {
+    super('js/diff-worker.js');
+  }
+
+  /**
+   * Line diff of two pretty-printed SVGs, with an attribute per line.
+   * @returns {Promise<Array<{ type: 'same' | 'add' | 'remove', text: string }>>}
+   */
+  diff(before, after) {
+    return this.requestResponse({ before, after });
+  }
+}
+
+export const textDiff = new TextDiff();
@@ -0,0 +1,111 @@
+import { createNanoEvents } from 'nanoevents';
+import { strToEl, humanSize } from '../utils.js';
+
+function formatSaving(bytes) {
+  return `${bytes < 0 ? '-' : ''}${humanSize(Math.abs(bytes))}`;
+}
+
+function getFlag({ saved, gzipSaved }) {
+  if (saved < 0 || gzipSaved < 0) return 'Makes the file bigger';
+  if (saved === 0 && gzipSaved === 0) return 'Saves nothing';
+  return '';
+}
+
+/**
+ * How many bytes each enabled plugin saves on the current file.
+ */
+export default class AnalysisOutput {
+  constructor() {
+    this.emitter = createNanoEvents();
+    // prettier-ignore
+    this.container = strToEl(
+      '<div class="analysis-output">' +
+        '<div class="analysis-header">' +
+          '<p class="analysis-status"></p>' +
+          '<button type="button" class="analysis-run unbutton">Analyse</button>' +
+        '</div>' +
+        '<table class="analysis-table" hidden>' +
+          '<thead>' +
+            '<tr>' +
+              '<th scope="col">Plugin</th>' +
+              '<th scope="col">Saved</th>' +
+              '<th scope="col">Saved gzipped</th>' +
+              '<th scope="col">Note</th>' +
+            '</tr>' +
+          '</thead>' +
+          '<tbody></tbody>' +
+        '</table>' +
+      '</div>'
+    );
+
+    this._statusEl = this.container.querySelector('.analysis-status');
+    this._runButton = this.container.querySelector('.analysis-run');
+    this._tableEl = this.container.querySelector('.analysis-table');
+    this._tbodyEl = this.container.querySelector('tbody');
+
+    this._runButton.addEventListener('click', () =>
+      this.emitter.emit('analyse'),
+    );
+
+    this.setAnalysis(null);
+  }
+
+  // The analysis is driven by the main controller, see setAnalysis
+  setSvg() {}
+
+  reset() {
+    this.setAnalysis(null);
+  }
+
+  working() {
+    this._runButton.disabled = true;
+    this._statusEl.textContent = 'Running each plugin…';
+  }
+
+  /**
+   * @param {{ size: number, gzipSize: number, plugins: Array<{ name: string, saved: number, gzipSaved: number }> } | null} analysis
+   */
+  setAnalysis(analysis) {
+    this._runButton.disabled = false;
+    this._tbodyEl.textContent = '';
+    this._tableEl.hidden = !analysis;
+
+    if (!analysis) {
+      this._runButton.textContent = 'Analyse';
+      this._statusEl.textContent =
+        'See how much each enabled plugin saves on this file.';
+      return;
+    }
+
+    this._runButton.textContent = 'Run again';
+    this._statusEl.textContent = `${
+      analysis.plugins.length
+    } plugins, ${humanSize(analysis.size)} (${humanSize(
+      analysis.gzipSize,
+    )} gzipped)`;
+
+    const plugins = [...analysis.plugins].sort((a, b) => b.saved - a.saved);
+
+    for (const plugin of plugins) {
+      const flag = getFlag(plugin);
+      const row = document.createElement('tr');
+      row.classList.toggle('flagged', Boolean(flag));
+
+      const nameEl = document.createElement('code');
+      nameEl.textContent = plugin.name;
+
+      for (const content of [
+        nameEl,
+        formatSaving(plugin.saved),
+        formatSaving(plugin.gzipSaved),
+        flag,
+      ]) {
+        const cell = document.createElement('td');
+        cell.append(content);
+        row.append(cell);
+      }
+
+      this._tbodyEl.append(row);
+    }
+  }
+}
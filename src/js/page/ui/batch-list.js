@@ -0,0 +1,163 @@
+import { createNanoEvents } from 'nanoevents';
+import { strToEl, humanSize, round } from '../utils.js';
+
+/**
+ * Lists every file of a multi-file load, with per-file results.
+ */
+export default class BatchList {
+  constructor() {
+    this.emitter = createNanoEvents();
+    // prettier-ignore
+    this.container = strToEl(
+      '<section class="batch-list" hidden>' +
+        '<div class="batch-list-header">' +
+          '<h1 class="batch-list-heading"></h1>' +
+          '<button class="unbutton batch-list-sprite" type="button">Build sprite</button>' +
+          '<button class="unbutton batch-list-download-all" type="button">Download all (.zip)</button>' +
+        '</div>' +
+        '<div class="batch-list-source" hidden>' +
+          '<span class="batch-list-source-status"></span>' +
+          '<button class="unbutton batch-list-download-source" type="button">Download source</button>' +
+        '</div>' +
+        '<ol class="batch-list-items"></ol>' +
+      '</section>'
+    );
+
+    this._headingEl = this.container.querySelector('.batch-list-heading');
+    this._listEl = this.container.querySelector('.batch-list-items');
+    this._sourceEl = this.container.querySelector('.batch-list-source');
+    this._sourceStatusEl = this.container.querySelector(
+      '.batch-list-source-status',
+    );
+    // batch item -> <li>
+    this._rows = new Map();
+
+    this._listEl.addEventListener('click', (event) => this._onClick(event));
+    this.container
+      .querySelector('.batch-list-sprite')
+      .addEventListener('click', () => this.emitter.emit('buildSprite'));
+    this.container
+      .querySelector('.batch-list-download-all')
+      .addEventListener('click', () => this.emitter.emit('downloadAll'));
+    this.container
+      .querySelector('.batch-list-download-source')
+      .addEventListener('click', () => this.emitter.emit('downloadSource'));
+  }
+
+  /**
+   * @param {object[]} items
+   * @param {{ sourceFilename?: string }} [options] The HTML, JSX or CSS file
+   * the items were found in, if any
+   */
+  setItems(items, { sourceFilename } = {}) {
+    this._rows.clear();
+    this._listEl.textContent = '';
+    this.container.hidden = items.length < 2 && !sourceFilename;
+    this._headingEl.textContent = sourceFilename
+      ? `${items.length} SVGs in ${sourceFilename}`
+      : `${items.length} files`;
+    this._sourceEl.hidden = !sourceFilename;
+    this._sourceStatusEl.textContent = 'Working…';
+    this._sourceStatusEl.classList.remove('decrease', 'increase');
+
+    for (const item of items) {
+      // prettier-ignore
+      const row = strToEl(
+        '<li class="batch-item">' +
+          '<button class="unbutton batch-item-select" type="button">' +
+            '<span class="batch-item-name"></span>' +
+            '<span class="batch-item-status"></span>' +
+          '</button>' +
+          '<a class="batch-item-download" title="Download" hidden>' +
+            '<svg aria-hidden="true" class="icon" viewBox="0 0 24 24">' +
+              '<path d="M19 9h-4V3H9v6H5l7 7 7-7zM5 18v2h14v-2H5z"/>' +
+            '</svg>' +
+          '</a>' +
+        '</li>'
+      );
+      row.title = item.path;
+      row.querySelector('.batch-item-name').textContent = item.filename;
+
+      this._rows.set(item, row);
+      this._listEl.append(row);
+      this.updateItem(item);
+    }
+  }
+
+  setActive(item) {
+    for (const [rowItem, row] of this._rows) {
+      row.classList.toggle('active', rowItem === item);
+    }
+  }
+
+  /**
+   * @param {object} item
+   * @param {{ size?: number, comparisonSize?: number }} [sizes]
+   */
+  updateItem(item, { size, comparisonSize } = {}) {
+    const row = this._rows.get(item);
+    if (!row) return;
+
+    const statusEl = row.querySelector('.batch-item-status');
+    const downloadEl = row.querySelector('.batch-item-download');
+
+    row.classList.toggle('error', Boolean(item.error));
+    statusEl.classList.remove('decrease', 'increase');
+    downloadEl.hidden = !item.resultFile || Boolean(item.error);
+
+    if (item.error) {
+      statusEl.textContent = item.error.message;
+      return;
+    }
+
+    if (size === undefined) {
+      statusEl.textContent = 'Working…';
+      return;
+    }
+
+    statusEl.textContent = `${humanSize(comparisonSize)} → ${humanSize(
+      size,
+    )} (${round((size / comparisonSize) * 100, 2)}%)`;
+
+    if (size !== comparisonSize) {
+      statusEl.classList.add(size > comparisonSize ? 'increase' : 'decrease');
+    }
+  }
+
+  /**
+   * @param {{ size: number, comparisonSize: number, skipped: number }} result
+   * Of the source with the optimized SVGs put back
+   */
+  setSourceResult({ size, comparisonSize, skipped }) {
+    this._sourceStatusEl.classList.remove('decrease', 'increase');
+    this._sourceStatusEl.textContent = `Source: ${humanSize(
+      comparisonSize,
+    )} → ${humanSize(size)} (${round((size / comparisonSize) * 100, 2)}%)${
+      skipped ? `, ${skipped} left as they were` : ''
+    }`;
+
+    if (size !== comparisonSize) {
+      this._sourceStatusEl.classList.add(
+        size > comparisonSize ? 'increase' : 'decrease',
+      );
+    }
+  }
+
+  _onClick(event) {
+    const row = event.target.closest('.batch-item');
+    if (!row) return;
+
+    const item = [...this._rows].find(([, itemRow]) => itemRow === row)[0];
+
+    if (event.target.closest('.batch-item-download')) {
+      // Blob urls are created lazily, and can be revoked by the results cache
+      const link = event.target.closest('.batch-item-download');
+      link.download = item.filename;
+      link.href = item.resultFile.url;
+      return;
+    }
+
+    if (item.error) return;
+    this.emitter.emit('select', { item });
+  }
+}
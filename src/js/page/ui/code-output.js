@@ -1,24 +1,149 @@
+import { createNanoEvents } from 'nanoevents';
 import { strToEl } from '../utils.js';
 import Prism from '../prism.js';
 
 const prism = new Prism();
 
+// wait for a pause in typing before re-optimizing
+const editDelay = 500;
+
+// SVGO parser errors look like "<input>:3:10: Unclosed root tag"
+function parseErrorLocation(message) {
+  const match = /^<input>:(\d+):(\d+): (.*)/s.exec(message);
+  if (!match) return { line: null, reason: message };
+  return { line: Number(match[1]), reason: match[3] };
+}
+
 export default class CodeOutput {
   constructor() {
+    this.emitter = createNanoEvents();
     // prettier-ignore
     this.container = strToEl(
       '<div class="code-output">' +
-        '<pre><code></code></pre>' +
+        '<div class="code-toolbar">' +
+          '<label class="code-edit-toggle">' +
+            '<input type="checkbox"> Edit source' +
+          '</label>' +
+        '</div>' +
+        '<pre>' +
+          '<code></code>' +
+          '<textarea class="code-input" spellcheck="false" autocomplete="off" aria-label="Source SVG" hidden></textarea>' +
+          '<span class="code-error" role="alert" hidden></span>' +
+        '</pre>' +
       '</div>'
     );
     this._codeEl = this.container.querySelector('code');
+    this._inputEl = this.container.querySelector('.code-input');
+    this._errorEl = this.container.querySelector('.code-error');
+    this._editToggle = this.container.querySelector('.code-edit-toggle input');
+    this._editTimeout = null;
+    this._svgFile = null;
+    this._originalFile = null;
+
+    this._editToggle.addEventListener('change', () => this._onEditToggle());
+    this._inputEl.addEventListener('input', () => this._onInput());
   }
 
-  async setSvg({ text }) {
-    this._codeEl.innerHTML = await prism.highlight(text);
+  get _editing() {
+    return this._editToggle.checked;
+  }
+
+  async setSvg(svgFile, originalFile = svgFile) {
+    const originalChanged = originalFile !== this._originalFile;
+    this._svgFile = svgFile;
+    this._originalFile = originalFile;
+
+    if (!this._editing) {
+      await this._highlight(svgFile.text);
+      return;
+    }
+
+    // don't trample edits that are pending, or couldn't be parsed
+    if (
+      !originalChanged ||
+      this._editTimeout ||
+      this._inputEl.value === originalFile.text
+    ) {
+      return;
+    }
+
+    this._inputEl.value = originalFile.text;
+    this.setError(null);
+    await this._highlight(originalFile.text);
   }
 
   reset() {
+    clearTimeout(this._editTimeout);
+    this._editTimeout = null;
+    this._svgFile = null;
+    this._originalFile = null;
     this._codeEl.innerHTML = '';
+    this._inputEl.value = '';
+    this.setError(null);
+  }
+
+  /**
+   * Shows why the edited source couldn't be parsed, next to the failing line.
+   * @param {Error | null} error
+   */
+  setError(error) {
+    this._errorEl.hidden = !error;
+    if (!error) return;
+
+    const { line, reason } = parseErrorLocation(error.message);
+    this._errorEl.textContent = line ? `Line ${line}: ${reason}` : reason;
+    this._errorEl.style.setProperty('--error-line', line ? line - 1 : 0);
+  }
+
+  async _highlight(text) {
+    // only the latest text matters, don't let a big file hold up the queue
+    prism.abort();
+
+    try {
+      this._codeEl.innerHTML = await prism.highlight(text);
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      throw error;
+    }
+
+    this._sizeInput();
+  }
+
+  // The textarea sits over the highlighted code, sized to match it
+  _sizeInput() {
+    if (this._inputEl.hidden) return;
+    this._inputEl.style.height = '';
+    this._inputEl.style.height = `${this._inputEl.scrollHeight}px`;
+  }
+
+  _onEditToggle() {
+    this.container.classList.toggle('editing', this._editing);
+    this._inputEl.hidden = !this._editing;
+    this.setError(null);
+
+    if (!this._svgFile) return;
+
+    if (this._editing) {
+      this._inputEl.value = this._originalFile.text;
+      this._highlight(this._originalFile.text);
+      this._inputEl.focus();
+    } else {
+      // don't lose the last few keystrokes
+      if (this._editTimeout) this._emitEdit();
+      this._highlight(this._svgFile.text);
+    }
+  }
+
+  _onInput() {
+    this._highlight(this._inputEl.value);
+
+    clearTimeout(this._editTimeout);
+    this._editTimeout = setTimeout(() => this._emitEdit(), editDelay);
+  }
+
+  _emitEdit() {
+    clearTimeout(this._editTimeout);
+    this._editTimeout = null;
+    this.emitter.emit('edit', { text: this._inputEl.value });
   }
 }
@@ -0,0 +1,111 @@
+import { domReady, strToEl } from '../utils.js';
+import SvgOutput from './svg-output.js';
+
+/**
+ * Shows the original and optimized SVG together, either side by side,
+ * overlaid with a split or onion-skin control, or as a heat map of the
+ * pixels that changed.
+ */
+export default class CompareOutput {
+  constructor() {
+    // prettier-ignore
+    this.container = strToEl(
+      '<div class="compare-output mode-side-by-side">' +
+        '<form class="compare-modes">' +
+          '<label><input type="radio" name="mode" value="side-by-side" checked> Side by side</label>' +
+          '<label><input type="radio" name="mode" value="split"> Split</label>' +
+          '<label><input type="radio" name="mode" value="onion"> Onion skin</label>' +
+          '<label><input type="radio" name="mode" value="heatmap"> Heat map</label>' +
+        '</form>' +
+        '<div class="compare-panes">' +
+          '<div class="compare-pane compare-original">' +
+            '<span class="compare-label">Original</span>' +
+          '</div>' +
+          '<div class="compare-pane compare-optimized">' +
+            '<span class="compare-label">Optimized</span>' +
+          '</div>' +
+          '<div class="compare-divider"></div>' +
+        '</div>' +
+        '<input type="range" class="compare-slider" min="0" max="100" value="50" aria-label="Split position">' +
+      '</div>'
+    );
+
+    this._modesForm = this.container.querySelector('.compare-modes');
+    this._slider = this.container.querySelector('.compare-slider');
+    this._originalOutput = new SvgOutput({ title: 'Original SVG file' });
+    this._optimizedOutput = new SvgOutput({ title: 'Optimized SVG file' });
+    this._mode = 'side-by-side';
+    this._heatmap = null;
+
+    for (const [selector, output] of [
+      ['.compare-original', this._originalOutput],
+      ['.compare-optimized', this._optimizedOutput],
+    ]) {
+      output.container.classList.add('active');
+      this.container.querySelector(selector).prepend(output.container);
+    }
+
+    // stop browsers remembering previous form state
+    this._modesForm.reset();
+
+    this._modesForm.addEventListener('change', () => this._onModeChange());
+    this._slider.addEventListener('input', () => this._updateOverlay());
+
+    domReady.then(() => {
+      // keep both views panned & zoomed to the same spot
+      const original = this._originalOutput.panZoom;
+      const optimized = this._optimizedOutput.panZoom;
+      original.emitter.on('change', (transform) =>
+        optimized.setTransform(transform),
+      );
+      optimized.emitter.on('change', (transform) =>
+        original.setTransform(transform),
+      );
+    });
+
+    this._updateOverlay();
+  }
+
+  setSvg(svgFile, originalFile = svgFile) {
+    return Promise.all([
+      this._originalOutput.setSvg(originalFile),
+      this._optimizedOutput.setSvg(svgFile),
+    ]);
+  }
+
+  reset() {
+    this._originalOutput.reset();
+    this._optimizedOutput.reset();
+  }
+
+  /**
+   * @param {ImageData | null} heatmap
+   */
+  setHeatmap(heatmap) {
+    this._heatmap = heatmap;
+    this._updateHeatmap();
+  }
+
+  _updateHeatmap() {
+    this._originalOutput.setOverlay(
+      this._mode === 'heatmap' ? this._heatmap : null,
+    );
+  }
+
+  _onModeChange() {
+    this.container.classList.remove(`mode-${this._mode}`);
+    this._mode = this._modesForm.mode.value;
+    this.container.classList.add(`mode-${this._mode}`);
+
+    this._slider.setAttribute(
+      'aria-label',
+      this._mode === 'onion' ? 'Optimized opacity' : 'Split position',
+    );
+    this._updateOverlay();
+    this._updateHeatmap();
+  }
+
+  _updateOverlay() {
+    this.container.style.setProperty('--compare-value', this._slider.value);
+  }
+}
@@ -0,0 +1,46 @@
+import { createNanoEvents } from 'nanoevents';
+import { domReady, readFileAsText } from '../utils.js';
+
+/**
+ * Buttons to import & export settings as an SVGO config file.
+ */
+export default class ConfigFile {
+  constructor() {
+    this.emitter = createNanoEvents();
+
+    domReady.then(() => {
+      this.container = document.querySelector('.config-file');
+      this._fileInput = this.container.querySelector('.config-file-input');
+
+      this.container
+        .querySelector('.config-import')
+        .addEventListener('click', () => this._fileInput.click());
+      this.container
+        .querySelector('.config-export-js')
+        .addEventListener('click', () =>
+          this.emitter.emit('export', { format: 'js' }),
+        );
+      this.container
+        .querySelector('.config-export-json')
+        .addEventListener('click', () =>
+          this.emitter.emit('export', { format: 'json' }),
+        );
+      this._fileInput.addEventListener('change', () =>
+        this._onFileInputChange(),
+      );
+    });
+  }
+
+  async _onFileInputChange() {
+    const file = this._fileInput.files[0];
+    if (!file) return;
+
+    // allow the same file to be picked again
+    this._fileInput.value = '';
+
+    this.emitter.emit('import', {
+      text: await readFileAsText(file),
+      filename: file.name,
+    });
+  }
+}
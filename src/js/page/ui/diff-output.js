@@ -0,0 +1,122 @@
+import { strToEl, escapeHTML } from '../utils.js';
+import Svgo from '../svgo.js';
+import { textDiff } from '../text-diff.js';
+
+// own instance, so optimising doesn't abort the pretty-printing
+const svgo = new Svgo();
+
+// unchanged lines shown either side of a change
+const contextLines = 3;
+
+const markers = { same: ' ', add: '+', remove: '-' };
+
+function renderLines(lines) {
+  let html = '';
+
+  for (const { type, text } of lines) {
+    html += `<span class="diff-line diff-${type}">${markers[type]} ${escapeHTML(
+      text,
+    )}\n</span>`;
+  }
+
+  return html;
+}
+
+// Folds long runs of unchanged lines away, keeping some context
+function renderChanges(changes) {
+  let html = '';
+  let index = 0;
+
+  while (index < changes.length) {
+    if (changes[index].type !== 'same') {
+      html += renderLines([changes[index]]);
+      index++;
+      continue;
+    }
+
+    let end = index;
+    while (end < changes.length && changes[end].type === 'same') end++;
+
+    const foldStart = index === 0 ? 0 : index + contextLines;
+    const foldEnd = end === changes.length ? end : end - contextLines;
+
+    if (foldEnd - foldStart > 1) {
+      const folded = changes.slice(foldStart, foldEnd);
+
+      html += renderLines(changes.slice(index, foldStart));
+      html += `<details class="diff-fold"><summary>${
+        folded.length
+      } unchanged lines</summary>${renderLines(folded)}</details>`;
+      html += renderLines(changes.slice(foldEnd, end));
+    } else {
+      html += renderLines(changes.slice(index, end));
+    }
+
+    index = end;
+  }
+
+  return html;
+}
+
+/**
+ * Line diff of the original and optimized markup, with an attribute per
+ * line, so it's clear which elements & attributes were removed.
+ */
+export default class DiffOutput {
+  constructor() {
+    // prettier-ignore
+    this.container = strToEl(
+      '<div class="diff-output">' +
+        '<p class="diff-summary"></p>' +
+        '<pre><code></code></pre>' +
+      '</div>'
+    );
+    this._summaryEl = this.container.querySelector('.diff-summary');
+    this._codeEl = this.container.querySelector('code');
+    this._svgFile = null;
+    this._originalFile = null;
+  }
+
+  async setSvg(svgFile, originalFile = svgFile) {
+    // switching tabs sets the same files again
+    if (svgFile === this._svgFile && originalFile === this._originalFile) {
+      return;
+    }
+
+    this._svgFile = svgFile;
+    this._originalFile = originalFile;
+
+    // only the latest files matter
+    svgo.abort();
+    textDiff.abort();
+
+    let changes;
+
+    try {
+      const [before, after] = await Promise.all([
+        svgo.prettify(originalFile.text),
+        svgo.prettify(svgFile.text),
+      ]);
+      changes = await textDiff.diff(before, after);
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      // nothing awaits this, so the error is shown here rather than thrown
+      this.reset();
+      this._summaryEl.textContent = `Couldn't diff: ${error.message}`;
+      return;
+    }
+
+    const removed = changes.filter(({ type }) => type === 'remove').length;
+    const added = changes.filter(({ type }) => type === 'add').length;
+
+    this._summaryEl.textContent = `${removed} lines removed, ${added} added`;
+    this._codeEl.innerHTML = renderChanges(changes);
+  }
+
+  reset() {
+    this._svgFile = null;
+    this._originalFile = null;
+    this._summaryEl.textContent = '';
+    this._codeEl.innerHTML = '';
+  }
+}
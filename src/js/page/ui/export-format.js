@@ -0,0 +1,79 @@
+import { createNanoEvents } from 'nanoevents';
+import { domReady, strToEl, escapeHtmlTag } from '../utils.js';
+
+/**
+ * Picks what the copy & download buttons produce.
+ */
+export default class ExportFormat {
+  constructor(formats) {
+    this.emitter = createNanoEvents();
+    this._formats = formats;
+
+    domReady.then(() => {
+      this.container = document.querySelector('.export-format');
+      this._select = this.container.querySelector('.export-format-select');
+      this._optionInputs = [
+        ...this.container.querySelectorAll('.export-option input'),
+      ];
+      this._warningsEl = this.container.querySelector('.export-warnings');
+
+      for (const [id, { name }] of Object.entries(formats)) {
+        this._select.append(new Option(name, id));
+      }
+
+      this.container.addEventListener('change', () => {
+        this._updateOptions();
+        this.emitter.emit('change');
+      });
+
+      this._updateOptions();
+    });
+  }
+
+  /**
+   * @returns {{ format: string, options: object }}
+   */
+  getFormat() {
+    const options = {};
+
+    for (const inputEl of this._optionInputs) {
+      options[inputEl.name] = inputEl.checked;
+    }
+
+    return { format: this._select.value, options };
+  }
+
+  setFormat({ format, options = {} }) {
+    if (format in this._formats) this._select.value = format;
+
+    for (const inputEl of this._optionInputs) {
+      if (inputEl.name in options) inputEl.checked = options[inputEl.name];
+    }
+
+    this._updateOptions();
+  }
+
+  /**
+   * Lists what the chosen format couldn't convert.
+   * @param {string[]} warnings
+   */
+  setWarnings(warnings) {
+    this._warningsEl.hidden = warnings.length === 0;
+    this._warningsEl.textContent = '';
+
+    for (const warning of warnings) {
+      this._warningsEl.append(strToEl(escapeHtmlTag`<li>${warning}</li>`));
+    }
+  }
+
+  // Only show the options the chosen format understands
+  _updateOptions() {
+    const { options } = this._formats[this._select.value];
+
+    for (const inputEl of this._optionInputs) {
+      inputEl.closest('.export-option').hidden = !options.includes(
+        inputEl.name,
+      );
+    }
+  }
+}
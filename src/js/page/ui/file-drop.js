@@ -5,8 +5,68 @@ import {
   transitionToClass,
   transitionFromClass,
   readFileAsText,
+  readFilesAsSvgData,
+  isInputFile,
 } from '../utils.js';
 
+function getFileFromEntry(entry) {
+  return new Promise((resolve, reject) => {
+    entry.file(resolve, reject);
+  });
+}
+
+async function readAllDirectoryEntries(directoryEntry) {
+  const reader = directoryEntry.createReader();
+  const entries = [];
+
+  // readEntries returns results in chunks, keep going until it's empty
+  for (;;) {
+    // eslint-disable-next-line no-await-in-loop
+    const chunk = await new Promise((resolve, reject) => {
+      reader.readEntries(resolve, reject);
+    });
+    if (chunk.length === 0) return entries;
+    entries.push(...chunk);
+  }
+}
+
+// Recursively collects the SVG files within a dropped directory
+async function getFilesFromDirectory(directoryEntry) {
+  const entries = await readAllDirectoryEntries(directoryEntry);
+  const files = await Promise.all(
+    entries.map(async (entry) => {
+      if (entry.isDirectory) return getFilesFromDirectory(entry);
+
+      const file = await getFileFromEntry(entry);
+      if (!isInputFile(file)) return [];
+      return [{ file, path: entry.fullPath.replace(/^\//, '') }];
+    }),
+  );
+
+  return files.flat();
+}
+
+async function getDroppedFiles(dataTransfer) {
+  // Entries have to be grabbed synchronously, before the drop event is over
+  const entries = [...dataTransfer.items]
+    .filter((item) => item.kind === 'file' && item.webkitGetAsEntry)
+    .map((item) => item.webkitGetAsEntry());
+
+  if (entries.length === 0) {
+    return [...dataTransfer.files].map((file) => ({ file }));
+  }
+
+  const files = await Promise.all(
+    entries.map(async (entry) =>
+      entry.isDirectory
+        ? getFilesFromDirectory(entry)
+        : [{ file: await getFileFromEntry(entry) }],
+    ),
+  );
+
+  return files.flat();
+}
+
 export default class FileDrop {
   constructor() {
     this.emitter = createNanoEvents();
@@ -52,12 +112,28 @@ export default class FileDrop {
     this._activeEnters = 0;
     transitionFromClass(this.container);
 
-    const file = event.dataTransfer.files[0];
-    if (!file) return;
+    const files = await getDroppedFiles(event.dataTransfer);
+    if (files.length === 0) return;
+
+    if (files.length === 1) {
+      const [{ file }] = files;
+
+      try {
+        this.emitter.emit('svgDataLoad', {
+          data: await readFileAsText(file),
+          filename: file.name,
+        });
+      } catch (error) {
+        this.emitter.emit('error', {
+          error: new Error(`Load failed: ${error.message}`),
+        });
+      }
+
+      return;
+    }
 
-    this.emitter.emit('svgDataLoad', {
-      data: await readFileAsText(file),
-      filename: file.name,
+    this.emitter.emit('svgBatchLoad', {
+      files: await readFilesAsSvgData(files),
     });
   }
 }
@@ -0,0 +1,36 @@
+import { createNanoEvents } from 'nanoevents';
+import FloatingActionButton from './floating-action-button.js';
+
+/**
+ * Toggles the pixel diff heat map over the image view.
+ */
+export default class HeatmapButton extends FloatingActionButton {
+  constructor() {
+    super({
+      title: 'Show changed pixels',
+      iconSvg:
+        // prettier-ignore
+        '<svg aria-hidden="true" class="icon" viewBox="0 0 24 24">' +
+          '<path d="M11.99 18.54l-7.37-5.73L3 14.07l9 7 9-7-1.63-1.27-7.38 5.74zM12 16l7.36-5.73L21 9l-9-7-9 7 1.63 1.27L12 16z"/>' +
+        '</svg>',
+    });
+
+    this.emitter = createNanoEvents();
+    this.container.hidden = true;
+  }
+
+  /**
+   * @param {boolean} available Whether there's a heat map to show
+   */
+  setAvailable(available) {
+    this.container.hidden = !available;
+  }
+
+  onClick(event) {
+    super.onClick(event);
+
+    const active = !this.container.classList.contains('active');
+    this.container.classList.toggle('active', active);
+    this.emitter.emit('change', { value: active });
+  }
+}
@@ -0,0 +1,88 @@
+import { createNanoEvents } from 'nanoevents';
+import { strToEl } from '../utils.js';
+
+/**
+ * Shows how a generated icon set will look.
+ */
+export default class IconSetPreview {
+  constructor() {
+    this.emitter = createNanoEvents();
+    // The masks are how launchers commonly crop maskable icons
+    // prettier-ignore
+    this.container = strToEl(
+      '<section class="icon-set-preview sprite-preview" hidden>' +
+        '<div class="sprite-preview-header">' +
+          '<h1 class="sprite-preview-heading">Icon set</h1>' +
+          '<button class="unbutton sprite-preview-download" type="button">Download (.zip)</button>' +
+          '<button class="unbutton sprite-preview-close" type="button">Close</button>' +
+        '</div>' +
+        '<div class="icon-set-previews">' +
+          '<div class="icon-set-group">' +
+            '<h2 class="icon-set-group-heading">Maskable, the dashed circle is the safe zone</h2>' +
+            '<figure class="icon-preview">' +
+              '<div class="icon-mask icon-mask-none"><img class="icon-maskable" alt=""></div>' +
+              '<figcaption>Full icon</figcaption>' +
+            '</figure>' +
+            '<figure class="icon-preview">' +
+              '<div class="icon-mask icon-mask-circle"><img class="icon-maskable" alt=""></div>' +
+              '<figcaption>Circle</figcaption>' +
+            '</figure>' +
+            '<figure class="icon-preview">' +
+              '<div class="icon-mask icon-mask-rounded"><img class="icon-maskable" alt=""></div>' +
+              '<figcaption>Rounded square</figcaption>' +
+            '</figure>' +
+          '</div>' +
+          '<div class="icon-set-group">' +
+            '<h2 class="icon-set-group-heading">Favicon</h2>' +
+            '<figure class="icon-preview">' +
+              '<img class="icon-favicon icon-favicon-16" alt="">' +
+              '<figcaption>16px</figcaption>' +
+            '</figure>' +
+            '<figure class="icon-preview">' +
+              '<img class="icon-favicon icon-favicon-32" alt="">' +
+              '<figcaption>32px</figcaption>' +
+            '</figure>' +
+          '</div>' +
+        '</div>' +
+      '</section>'
+    );
+
+    this._maskableImgs = this.container.querySelectorAll('.icon-maskable');
+    this._faviconImgs = this.container.querySelectorAll('.icon-favicon');
+    this._urls = [];
+
+    this.container
+      .querySelector('.sprite-preview-download')
+      .addEventListener('click', () => this.emitter.emit('download'));
+    this.container
+      .querySelector('.sprite-preview-close')
+      .addEventListener('click', () => this.emitter.emit('close'));
+  }
+
+  /**
+   * @param {{ maskablePreview: Blob, faviconPreview: Blob }} iconSet
+   */
+  show({ maskablePreview, faviconPreview }) {
+    this.hide();
+    this.container.hidden = false;
+
+    // owned here, so they outlive the results cache's URLs
+    const maskableUrl = URL.createObjectURL(maskablePreview);
+    const faviconUrl = URL.createObjectURL(faviconPreview);
+    this._urls.push(maskableUrl, faviconUrl);
+
+    for (const img of this._maskableImgs) img.src = maskableUrl;
+    for (const img of this._faviconImgs) img.src = faviconUrl;
+  }
+
+  hide() {
+    this.container.hidden = true;
+
+    for (const img of [...this._maskableImgs, ...this._faviconImgs]) {
+      img.removeAttribute('src');
+    }
+
+    for (const url of this._urls) URL.revokeObjectURL(url);
+    this._urls = [];
+  }
+}
@@ -4,7 +4,12 @@ import {
   transitionFromClass,
   transitionToClass,
   readFileAsText,
+  readFilesAsSvgData,
+  isInputFile,
+  strToEl,
+  escapeHtmlTag,
 } from '../utils.js';
+import { fetchSvg } from '../fetch-svg.js';
 import Spinner from './spinner.js';
 
 export default class MainMenu {
@@ -19,7 +24,14 @@ export default class MainMenu {
       this._pasteInput = this.container.querySelector('.paste-input');
       this._loadDemoBtn = this.container.querySelector('.load-demo');
       this._loadFileBtn = this.container.querySelector('.load-file');
+      this._loadFolderInput =
+        this.container.querySelector('.load-folder-input');
+      this._loadFolderBtn = this.container.querySelector('.load-folder');
       this._pasteLabel = this.container.querySelector('.menu-input');
+      this._loadUrlForm = this.container.querySelector('.load-url');
+      this._urlInput = this.container.querySelector('.url-input');
+      this._urlLabel = this._loadUrlForm.querySelector('.menu-input');
+      this._recentUrlsEl = this.container.querySelector('.recent-urls');
       this._overlay = this.container.querySelector('.overlay');
       this._menu = this.container.querySelector('.menu');
       const menuBtn = document.querySelector('.menu-btn');
@@ -33,15 +45,27 @@ export default class MainMenu {
       this._loadFileBtn.addEventListener('click', (event) =>
         this._onLoadFileClick(event),
       );
+      this._loadFolderBtn.addEventListener('click', (event) =>
+        this._onLoadFolderClick(event),
+      );
       this._loadDemoBtn.addEventListener('click', (event) =>
         this._onLoadDemoClick(event),
       );
       this._loadFileInput.addEventListener('change', () =>
         this._onFileInputChange(),
       );
+      this._loadFolderInput.addEventListener('change', () =>
+        this._onFolderInputChange(),
+      );
       this._pasteInput.addEventListener('input', () =>
         this._onTextInputChange(),
       );
+      this._loadUrlForm.addEventListener('submit', (event) =>
+        this._onLoadUrlSubmit(event),
+      );
+      this._recentUrlsEl.addEventListener('click', (event) =>
+        this._onRecentUrlClick(event),
+      );
     });
   }
 
@@ -72,6 +96,58 @@ export default class MainMenu {
     this._pasteInput.dispatchEvent(new Event('input'));
   }
 
+  /**
+   * Fetches the SVG, then loads it like any other.
+   * @param {string} url
+   */
+  async loadUrl(url) {
+    this._urlLabel.append(this._spinner.container);
+    this._spinner.show();
+
+    try {
+      this.emitter.emit('svgDataLoad', await fetchSvg(url));
+    } catch (error) {
+      this.stopSpinner();
+      this.emitter.emit('error', { error });
+    }
+  }
+
+  /**
+   * @param {string[]} urls Most recent first
+   */
+  setRecentUrls(urls) {
+    this._recentUrlsEl.textContent = '';
+    this._recentUrlsEl.hidden = urls.length === 0;
+
+    for (const url of urls) {
+      const { host, pathname } = new URL(url);
+      const name = pathname.split('/').pop() || host;
+
+      this._recentUrlsEl.append(
+        strToEl(
+          escapeHtmlTag`<li><button class="unbutton menu-item recent-url" type="button" title="${url}" data-url="${url}"><span class="menu-item-text">${name}</span><span class="recent-url-host">${host}</span></button></li>`,
+        ),
+      );
+    }
+  }
+
+  _onLoadUrlSubmit(event) {
+    event.preventDefault();
+
+    const url = this._urlInput.value;
+    this._urlInput.value = '';
+    this._urlInput.blur();
+    this.loadUrl(url);
+  }
+
+  _onRecentUrlClick(event) {
+    const button = event.target.closest('.recent-url');
+    if (!button) return;
+
+    button.blur();
+    this.loadUrl(button.dataset.url);
+  }
+
   _onOverlayClick(event) {
     event.preventDefault();
     this.hide();
@@ -84,7 +160,7 @@ export default class MainMenu {
 
   _onTextInputChange() {
     const value = this._pasteInput.value;
-    if (!value.includes('</svg>')) return;
+    if (!/<\/(?:svg|vector)>|data:image\/svg\+xml/i.test(value)) return;
 
     this._pasteInput.value = '';
     this._pasteInput.blur();
@@ -104,17 +180,59 @@ export default class MainMenu {
     this.showFilePicker();
   }
 
+  _onLoadFolderClick(event) {
+    event.preventDefault();
+    event.target.blur();
+    this._loadFolderInput.click();
+  }
+
   async _onFileInputChange() {
-    const file = this._loadFileInput.files[0];
+    const files = [...this._loadFileInput.files];
 
-    if (!file) return;
+    if (files.length === 0) return;
 
     this._loadFileBtn.append(this._spinner.container);
     this._spinner.show();
 
-    this.emitter.emit('svgDataLoad', {
-      data: await readFileAsText(file),
-      filename: file.name,
+    if (files.length === 1) {
+      try {
+        this.emitter.emit('svgDataLoad', {
+          data: await readFileAsText(files[0]),
+          filename: files[0].name,
+        });
+      } catch (error) {
+        this.stopSpinner();
+        this.emitter.emit('error', {
+          error: new Error(`Load failed: ${error.message}`),
+        });
+      }
+
+      return;
+    }
+
+    this.emitter.emit('svgBatchLoad', {
+      files: await readFilesAsSvgData(files.map((file) => ({ file }))),
+    });
+  }
+
+  async _onFolderInputChange() {
+    const files = [...this._loadFolderInput.files].filter((file) =>
+      isInputFile(file),
+    );
+
+    if (files.length === 0) {
+      const error = new Error('No SVG files found in folder');
+      this.emitter.emit('error', { error });
+      return;
+    }
+
+    this._loadFolderBtn.append(this._spinner.container);
+    this._spinner.show();
+
+    this.emitter.emit('svgBatchLoad', {
+      files: await readFilesAsSvgData(
+        files.map((file) => ({ file, path: file.webkitRelativePath })),
+      ),
     });
   }
 
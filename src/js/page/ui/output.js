@@ -1,30 +1,85 @@
+import { createNanoEvents } from 'nanoevents';
 import { strToEl, transitionToClass, transitionFromClass } from '../utils.js';
 import SvgOutput from './svg-output.js';
 import CodeOutput from './code-output.js';
+import CompareOutput from './compare-output.js';
+import DiffOutput from './diff-output.js';
+import AnalysisOutput from './analysis-output.js';
 
 export default class Output {
   constructor() {
+    this.emitter = createNanoEvents();
     this.container = strToEl('<div class="output-switcher"></div>');
 
     this._types = {
       image: new SvgOutput(),
       code: new CodeOutput(),
+      compare: new CompareOutput(),
+      diff: new DiffOutput(),
+      analysis: new AnalysisOutput(),
     };
 
+    this._types.analysis.emitter.on('analyse', () =>
+      this.emitter.emit('analyse'),
+    );
+    this._types.code.emitter.on('edit', (event) =>
+      this.emitter.emit('sourceEdit', event),
+    );
+
     this._svgFile = null;
+    this._originalFile = null;
+    this._heatmap = null;
+    this._heatmapVisible = false;
     this._switchQueue = Promise.resolve();
     this.set('image', { noAnimate: true });
   }
 
-  update(svgFile) {
+  update(svgFile, originalFile) {
     this._svgFile = svgFile;
-    return this._types[this._activeType].setSvg(svgFile);
+    this._originalFile = originalFile;
+    return this._types[this._activeType].setSvg(svgFile, originalFile);
   }
 
   reset() {
     this._types[this._activeType].reset();
   }
 
+  /**
+   * @param {ImageData | null} heatmap Pixels that changed in the last update
+   */
+  setHeatmap(heatmap) {
+    this._heatmap = heatmap;
+    this._types.compare.setHeatmap(heatmap);
+    this._updateImageHeatmap();
+  }
+
+  /**
+   * @param {boolean} visible Whether the image view shows the heat map
+   */
+  setHeatmapVisible(visible) {
+    this._heatmapVisible = visible;
+    this._updateImageHeatmap();
+  }
+
+  _updateImageHeatmap() {
+    this._types.image.setOverlay(this._heatmapVisible ? this._heatmap : null);
+  }
+
+  /**
+   * @param {Error | null} error Why the edited source couldn't be read
+   */
+  setSourceError(error) {
+    this._types.code.setError(error);
+  }
+
+  analysisWorking() {
+    this._types.analysis.working();
+  }
+
+  setAnalysis(analysis) {
+    this._types.analysis.setAnalysis(analysis);
+  }
+
   set(type, { noAnimate = false } = {}) {
     this._switchQueue = this._switchQueue.then(async () => {
       const toRemove =
@@ -34,7 +89,7 @@ export default class Output {
       const toAdd = this._types[this._activeType].container;
       this.container.append(toAdd);
 
-      if (this._svgFile) await this.update(this._svgFile);
+      if (this._svgFile) await this.update(this._svgFile, this._originalFile);
 
       if (noAnimate) {
         toAdd.classList.add('active');
@@ -1,3 +1,5 @@
+import { createNanoEvents } from 'nanoevents';
+
 function getXY(obj) {
   return {
     x: obj.pageX,
@@ -29,6 +31,7 @@ export default class PanZoom {
     target,
     { eventArea = target, shouldCaptureFunc = () => true } = {},
   ) {
+    this.emitter = createNanoEvents();
     this._target = target;
     this._shouldCaptureFunc = shouldCaptureFunc;
     this._dx = 0;
@@ -108,6 +111,14 @@ export default class PanZoom {
     this._update();
   }
 
+  // Mirrors another PanZoom, without emitting 'change'
+  setTransform({ dx, dy, scale }) {
+    this._dx = dx;
+    this._dy = dy;
+    this._scale = scale;
+    this._applyTransform();
+  }
+
   _onWheel(event) {
     if (!this._shouldCaptureFunc(event.target)) return;
     event.preventDefault();
@@ -143,6 +154,15 @@ export default class PanZoom {
   }
 
   _update() {
+    this._applyTransform();
+    this.emitter.emit('change', {
+      dx: this._dx,
+      dy: this._dy,
+      scale: this._scale,
+    });
+  }
+
+  _applyTransform() {
     this._target.style.transform = `translate3d(${this._dx}px, ${this._dy}px, 0) scale(${this._scale})`;
   }
 }
@@ -0,0 +1,160 @@
+import { createNanoEvents } from 'nanoevents';
+import { domReady } from '../utils.js';
+
+/**
+ * Dropdown of built-in and user-saved settings presets.
+ */
+export default class Presets {
+  constructor(builtInPresets) {
+    this.emitter = createNanoEvents();
+    this._builtInPresets = builtInPresets;
+    this._userPresets = [];
+    // tracked as the object, as indexes shift when presets are deleted
+    this._activePreset = null;
+    // what to do with the name once it's entered
+    this._onNameSubmit = null;
+
+    domReady.then(() => {
+      this.container = document.querySelector('.presets');
+      this._select = this.container.querySelector('.preset-select');
+      this._renameBtn = this.container.querySelector('.preset-rename');
+      this._deleteBtn = this.container.querySelector('.preset-delete');
+      this._nameForm = this.container.querySelector('.preset-name');
+      this._nameLabel = this.container.querySelector('.preset-name-label');
+      this._nameInput = this.container.querySelector('.preset-name-input');
+
+      this._select.addEventListener('change', () => this._onSelectChange());
+      this.container
+        .querySelector('.preset-save')
+        .addEventListener('click', () => this._onSaveClick());
+      this._renameBtn.addEventListener('click', () => this._onRenameClick());
+      this._deleteBtn.addEventListener('click', () => this._onDeleteClick());
+      this._nameForm.addEventListener('submit', (event) =>
+        this._onNameFormSubmit(event),
+      );
+      this.container
+        .querySelector('.preset-name-cancel')
+        .addEventListener('click', () => this._hideNameForm());
+      this._nameInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') this._hideNameForm();
+      });
+
+      this._render();
+    });
+  }
+
+  setUserPresets(presets) {
+    this._userPresets = presets;
+    if (this._select) this._render();
+  }
+
+  /**
+   * @param {object | null} preset Null to show the settings as custom
+   */
+  setActive(preset) {
+    this._activePreset = preset;
+    const builtInIndex = this._builtInPresets.indexOf(preset);
+    const userIndex = this._userPresets.indexOf(preset);
+
+    if (builtInIndex !== -1) {
+      this._select.value = `builtin:${builtInIndex}`;
+    } else if (userIndex !== -1) {
+      this._select.value = `user:${userIndex}`;
+    } else {
+      this._select.value = '';
+      this._activePreset = null;
+    }
+
+    this._updateButtons();
+  }
+
+  _getActivePreset() {
+    const [type, index] = this._select.value.split(':');
+    if (type === 'builtin') return this._builtInPresets[index];
+    if (type === 'user') return this._userPresets[index];
+    return null;
+  }
+
+  _render() {
+    const builtInGroup = document.createElement('optgroup');
+    const userGroup = document.createElement('optgroup');
+    const customOption = new Option('Custom settings', '');
+
+    builtInGroup.label = 'Built-in';
+    userGroup.label = 'Saved';
+    customOption.hidden = true;
+
+    for (const [i, { name }] of this._builtInPresets.entries()) {
+      builtInGroup.append(new Option(name, `builtin:${i}`));
+    }
+
+    for (const [i, { name }] of this._userPresets.entries()) {
+      userGroup.append(new Option(name, `user:${i}`));
+    }
+
+    this._select.textContent = '';
+    this._select.append(customOption, builtInGroup);
+    if (this._userPresets.length > 0) this._select.append(userGroup);
+    // once deleted, a preset's settings are still in use, but as custom ones
+    this.setActive(this._activePreset);
+  }
+
+  _updateButtons() {
+    const isUserPreset = this._select.value.startsWith('user:');
+    this._renameBtn.disabled = !isUserPreset;
+    this._deleteBtn.disabled = !isUserPreset;
+  }
+
+  _askName(label, defaultName, onSubmit) {
+    this._onNameSubmit = onSubmit;
+    this._nameLabel.textContent = label;
+    this._nameInput.value = defaultName;
+    this._nameForm.hidden = false;
+    this._nameInput.focus();
+    this._nameInput.select();
+  }
+
+  _hideNameForm() {
+    this._onNameSubmit = null;
+    this._nameForm.hidden = true;
+  }
+
+  _onNameFormSubmit(event) {
+    event.preventDefault();
+    const name = this._nameInput.value.trim();
+    const onSubmit = this._onNameSubmit;
+
+    if (!name) return;
+    this._hideNameForm();
+    onSubmit(name);
+  }
+
+  _onSelectChange() {
+    this._updateButtons();
+    const preset = this._getActivePreset();
+    this._activePreset = preset;
+    if (preset) this.emitter.emit('select', { preset });
+  }
+
+  _onSaveClick() {
+    const active = this._activePreset;
+
+    this._askName(
+      'Save current settings as',
+      active && this._userPresets.includes(active) ? active.name : '',
+      (name) => this.emitter.emit('save', { name }),
+    );
+  }
+
+  _onRenameClick() {
+    const preset = this._activePreset;
+
+    this._askName('Rename preset to', preset.name, (name) => {
+      if (name !== preset.name) this.emitter.emit('rename', { preset, name });
+    });
+  }
+
+  _onDeleteClick() {
+    this.emitter.emit('delete', { preset: this._activePreset });
+  }
+}
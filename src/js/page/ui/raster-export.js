@@ -0,0 +1,59 @@
+import { createNanoEvents } from 'nanoevents';
+import { domReady } from '../utils.js';
+
+/**
+ * Options for downloading the result as PNG or WebP.
+ */
+export default class RasterExport {
+  constructor() {
+    this.emitter = createNanoEvents();
+
+    domReady.then(() => {
+      this.container = document.querySelector('.raster-export');
+      this._sizesInput = this.container.querySelector('[name=sizes]');
+      this._typeSelect = this.container.querySelector('[name=type]');
+      this._transparentInput =
+        this.container.querySelector('[name=transparent]');
+      this._backgroundInput = this.container.querySelector('[name=background]');
+      this._buttons = [
+        ...this.container.querySelectorAll('.settings-actions button'),
+      ];
+
+      this._transparentInput.addEventListener('change', () =>
+        this._updateBackground(),
+      );
+      this.container
+        .querySelector('.raster-export-download')
+        .addEventListener('click', () => this.emitter.emit('download'));
+      this.container
+        .querySelector('.raster-export-icon-set')
+        .addEventListener('click', () => this.emitter.emit('iconSet'));
+
+      this._updateBackground();
+    });
+  }
+
+  /**
+   * backgroundColor is the chosen colour even if the background is
+   * transparent, for icons that have to be opaque.
+   * @returns {{ sizes: string, type: string, background: string | null, backgroundColor: string }}
+   */
+  getOptions() {
+    return {
+      sizes: this._sizesInput.value,
+      type: this._typeSelect.value,
+      background: this._transparentInput.checked
+        ? null
+        : this._backgroundInput.value,
+      backgroundColor: this._backgroundInput.value,
+    };
+  }
+
+  working(isWorking) {
+    for (const button of this._buttons) button.disabled = isWorking;
+  }
+
+  _updateBackground() {
+    this._backgroundInput.disabled = this._transparentInput.checked;
+  }
+}
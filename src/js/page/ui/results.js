@@ -1,13 +1,4 @@
-import { strToEl } from '../utils.js';
-
-function round(num, places) {
-  const mult = 10 ** places;
-  return Math.floor(Math.round(num * mult)) / mult;
-}
-
-function humanSize(bytes) {
-  return bytes < 1024 ? `${bytes} bytes` : `${round(bytes / 1024, 2)}k`;
-}
+import { strToEl, round, humanSize } from '../utils.js';
 
 export default class Results {
   constructor() {
@@ -16,11 +7,35 @@ export default class Results {
       '<div class="results">' +
         '<span class="size"></span> ' +
         '<span class="diff"></span>' +
+        '<span class="visual-diff" title="Pixels that visibly changed"></span>' +
+        '<span class="encoded-size"></span>' +
       '</div>'
     );
 
     this._sizeEl = this.container.querySelector('.size');
     this._diffEl = this.container.querySelector('.diff');
+    this._visualDiffEl = this.container.querySelector('.visual-diff');
+    this._encodedSizeEl = this.container.querySelector('.encoded-size');
+  }
+
+  /**
+   * Size of the result as copied & downloaded, when it's encoded.
+   * @param {{ name: string, size: number } | null} encoded
+   */
+  setEncodedSize(encoded) {
+    this._encodedSizeEl.textContent = encoded
+      ? `${encoded.name}: ${humanSize(encoded.size)}`
+      : '';
+  }
+
+  /**
+   * @param {number | null} score Percentage of changed pixels, null to clear
+   * @param {{ overThreshold?: boolean }} [options]
+   */
+  setVisualDiff(score, { overThreshold = false } = {}) {
+    this._visualDiffEl.classList.toggle('increase', overThreshold);
+    this._visualDiffEl.textContent =
+      score === null ? '' : `Δ ${round(score, 2)}%`;
   }
 
   update({ size, comparisonSize }) {
@@ -3,6 +3,59 @@ import { domReady } from '../utils.js';
 import MaterialSlider from './material-slider.js';
 import Ripple from './ripple.js';
 
+// settings that don't change the optimized output
+const nonFingerprintSettings = new Set([
+  'gzip',
+  'original',
+  'visualDiffThreshold',
+  // the precisions it picks are part of the fingerprint
+  'autoPrecision',
+  'stepThrough',
+]);
+
+const precisionSettings = new Set(['floatPrecision', 'transformPrecision']);
+
+function getDefaultValue(inputEl) {
+  if (inputEl.tagName !== 'SELECT') return inputEl.defaultValue;
+
+  const option = [...inputEl.options].find(
+    ({ defaultSelected }) => defaultSelected,
+  );
+  return (option || inputEl.options[0]).value;
+}
+
+// Plugin param inputs are typed by their data-type, see config.json
+function getParamValue(inputEl, { useDefault = false } = {}) {
+  const value = useDefault ? getDefaultValue(inputEl) : inputEl.value;
+
+  switch (inputEl.dataset.type) {
+    case 'boolean':
+      return useDefault ? inputEl.defaultChecked : inputEl.checked;
+    case 'number':
+      return Number(value);
+    case 'list':
+      return value
+        .split(',')
+        .map((item) => item.trim())
+        .filter(Boolean);
+    default:
+      return value;
+  }
+}
+
+function setParamValue(inputEl, value) {
+  switch (inputEl.dataset.type) {
+    case 'boolean':
+      inputEl.checked = value;
+      break;
+    case 'list':
+      inputEl.value = Array.isArray(value) ? value.join(', ') : value;
+      break;
+    default:
+      inputEl.value = value;
+  }
+}
+
 export default class Settings {
   constructor() {
     this.emitter = createNanoEvents();
@@ -11,7 +64,12 @@ export default class Settings {
     domReady.then(() => {
       this.container = document.querySelector('.settings');
       this._pluginInputs = [
-        ...this.container.querySelectorAll('.plugins input'),
+        ...this.container.querySelectorAll(
+          '.plugins .setting-item-toggle input',
+        ),
+      ];
+      this._paramInputs = [
+        ...this.container.querySelectorAll('.plugin-params [data-plugin]'),
       ];
       this._globalInputs = [
         ...this.container.querySelectorAll('.global input'),
@@ -32,9 +90,12 @@ export default class Settings {
         this._sliderMap.set(range, new MaterialSlider(range));
       }
 
-      this.container.addEventListener('input', (event) =>
-        this._onChange(event),
-      );
+      this.container.addEventListener('input', (event) => {
+        // these sections manage their own events
+        if (event.target.closest('.presets, .export-format, .raster-export'))
+          return;
+        this._onChange(event);
+      });
       resetBtn.addEventListener('click', () => this._onReset());
 
       // TODO: revisit this
@@ -42,7 +103,14 @@ export default class Settings {
       // This stops all text selection which is kinda sad.
       // I think this code will bite me.
       scroller.addEventListener('mousedown', (event) => {
-        if (event.target.closest('input[type=range]')) return;
+        if (
+          event.target.closest(
+            'input[type=range], .plugin-params, .presets, .export-format, .raster-export',
+          )
+        ) {
+          return;
+        }
+
         event.preventDefault();
       });
     });
@@ -51,8 +119,17 @@ export default class Settings {
   _onChange(event) {
     clearTimeout(this._throttleTimeout);
 
-    // throttle range
-    if (event.target.type === 'range') {
+    // picking a precision by hand means auto precision is no longer wanted
+    if (precisionSettings.has(event.target.name)) {
+      this.container.querySelector('[name=autoPrecision]').checked = false;
+    }
+
+    // throttle range & text entry
+    if (
+      event.target.type === 'range' ||
+      event.target.type === 'text' ||
+      event.target.type === 'number'
+    ) {
       this._throttleTimeout = setTimeout(
         () => this.emitter.emit('change'),
         150,
@@ -66,6 +143,13 @@ export default class Settings {
     this._resetRipple.animate();
     const oldSettings = this.getSettings();
 
+    this.resetToDefaults();
+
+    this.emitter.emit('reset', oldSettings);
+    this.emitter.emit('change');
+  }
+
+  resetToDefaults() {
     // Set all inputs according to their initial attributes
     for (const inputEl of this._globalInputs) {
       if (inputEl.type === 'checkbox') {
@@ -75,12 +159,26 @@ export default class Settings {
       }
     }
 
+    this.resetPluginsToDefaults();
+  }
+
+  // Presets & imported configs cover the plugins, but not output options
+  resetPluginsToDefaults() {
     for (const inputEl of this._pluginInputs) {
       inputEl.checked = inputEl.hasAttribute('checked');
     }
 
-    this.emitter.emit('reset', oldSettings);
-    this.emitter.emit('change');
+    for (const inputEl of this._paramInputs) {
+      if (inputEl.type === 'checkbox') {
+        inputEl.checked = inputEl.defaultChecked;
+      } else if (inputEl.tagName === 'SELECT') {
+        for (const option of inputEl.options) {
+          option.selected = option.defaultSelected;
+        }
+      } else {
+        inputEl.value = inputEl.defaultValue;
+      }
+    }
   }
 
   setSettings(settings) {
@@ -95,25 +193,37 @@ export default class Settings {
     }
 
     for (const inputEl of this._pluginInputs) {
-      if (!(inputEl.name in settings.plugins)) continue;
+      if (!settings.plugins || !(inputEl.name in settings.plugins)) continue;
       inputEl.checked = settings.plugins[inputEl.name];
     }
+
+    if (!settings.pluginParams) return;
+
+    for (const inputEl of this._paramInputs) {
+      const params = settings.pluginParams[inputEl.dataset.plugin];
+      if (!params || !(inputEl.name in params)) continue;
+      setParamValue(inputEl, params[inputEl.name]);
+    }
   }
 
   getSettings() {
     // fingerprint is used for cache lookups
     const fingerprint = [];
+    // auto precision's picks are cached by this, which skips the precisions
+    const tuningFingerprint = [];
     const output = {
       plugins: {},
     };
 
     for (const inputEl of this._globalInputs) {
-      if (inputEl.name !== 'gzip' && inputEl.name !== 'original') {
-        if (inputEl.type === 'checkbox') {
-          fingerprint.push(Number(inputEl.checked));
-        } else {
-          fingerprint.push(`|${inputEl.value}|`);
-        }
+      if (!nonFingerprintSettings.has(inputEl.name)) {
+        const value =
+          inputEl.type === 'checkbox'
+            ? Number(inputEl.checked)
+            : `|${inputEl.value}|`;
+
+        fingerprint.push(value);
+        if (!precisionSettings.has(inputEl.name)) tuningFingerprint.push(value);
       }
 
       output[inputEl.name] =
@@ -122,10 +232,53 @@ export default class Settings {
 
     for (const inputEl of this._pluginInputs) {
       fingerprint.push(Number(inputEl.checked));
+      tuningFingerprint.push(Number(inputEl.checked));
       output.plugins[inputEl.name] = inputEl.checked;
     }
 
+    output.pluginParams = {};
+
+    for (const inputEl of this._paramInputs) {
+      const { plugin } = inputEl.dataset;
+      const value = getParamValue(inputEl);
+
+      fingerprint.push(`|${JSON.stringify(value)}|`);
+      tuningFingerprint.push(`|${JSON.stringify(value)}|`);
+      output.pluginParams[plugin] = output.pluginParams[plugin] || {};
+      output.pluginParams[plugin][inputEl.name] = value;
+    }
+
     output.fingerprint = fingerprint.join(',');
+    output.tuningFingerprint = tuningFingerprint.join(',');
+
+    return output;
+  }
+
+  // The settings a reset would give, without touching the inputs
+  getDefaultSettings() {
+    const output = {
+      plugins: {},
+      pluginParams: {},
+    };
+
+    for (const inputEl of this._globalInputs) {
+      output[inputEl.name] =
+        inputEl.type === 'checkbox'
+          ? inputEl.defaultChecked
+          : inputEl.defaultValue;
+    }
+
+    for (const inputEl of this._pluginInputs) {
+      output.plugins[inputEl.name] = inputEl.defaultChecked;
+    }
+
+    for (const inputEl of this._paramInputs) {
+      const { plugin } = inputEl.dataset;
+      output.pluginParams[plugin] = output.pluginParams[plugin] || {};
+      output.pluginParams[plugin][inputEl.name] = getParamValue(inputEl, {
+        useDefault: true,
+      });
+    }
 
     return output;
   }
@@ -0,0 +1,61 @@
+import { createNanoEvents } from 'nanoevents';
+import { strToEl, escapeHtmlTag, humanSize } from '../utils.js';
+
+/**
+ * Shows each symbol of a built sprite.
+ */
+export default class SpritePreview {
+  constructor() {
+    this.emitter = createNanoEvents();
+    // prettier-ignore
+    this.container = strToEl(
+      '<section class="sprite-preview" hidden>' +
+        '<div class="sprite-preview-header">' +
+          '<h1 class="sprite-preview-heading"></h1>' +
+          '<button class="unbutton sprite-preview-download" type="button">Download (.zip)</button>' +
+          '<button class="unbutton sprite-preview-close" type="button">Close</button>' +
+        '</div>' +
+        '<ul class="sprite-preview-symbols"></ul>' +
+      '</section>'
+    );
+
+    this._headingEl = this.container.querySelector('.sprite-preview-heading');
+    this._symbolsEl = this.container.querySelector('.sprite-preview-symbols');
+    this._previewFiles = [];
+
+    this.container
+      .querySelector('.sprite-preview-download')
+      .addEventListener('click', () => this.emitter.emit('download'));
+    this.container
+      .querySelector('.sprite-preview-close')
+      .addEventListener('click', () => this.emitter.emit('close'));
+  }
+
+  /**
+   * @param {{ size: number, symbols: Array<{ id: string, previewFile: import('../svg-file.js').default }> }} sprite
+   */
+  show({ size, symbols }) {
+    this.hide();
+    this.container.hidden = false;
+    this._headingEl.textContent = `Sprite: ${
+      symbols.length
+    } symbols, ${humanSize(size)}`;
+
+    for (const { id, previewFile } of symbols) {
+      this._previewFiles.push(previewFile);
+      this._symbolsEl.append(
+        strToEl(
+          escapeHtmlTag`<li class="sprite-symbol" title="${id}"><img src="${previewFile.url}" alt=""><span class="sprite-symbol-id">${id}</span></li>`,
+        ),
+      );
+    }
+  }
+
+  hide() {
+    this.container.hidden = true;
+    this._symbolsEl.textContent = '';
+
+    for (const file of this._previewFiles) file.release();
+    this._previewFiles = [];
+  }
+}
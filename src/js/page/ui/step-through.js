@@ -0,0 +1,81 @@
+import { createNanoEvents } from 'nanoevents';
+import { strToEl, humanSize } from '../utils.js';
+
+/**
+ * Scrubs through the document after each plugin, to find which one broke
+ * the output.
+ */
+export default class StepThrough {
+  constructor() {
+    this.emitter = createNanoEvents();
+    // prettier-ignore
+    this.container = strToEl(
+      '<section class="step-through" hidden>' +
+        '<div class="step-through-header">' +
+          '<h1 class="step-through-heading">Plugin steps</h1>' +
+          '<button class="unbutton step-through-find" type="button">First visual change</button>' +
+        '</div>' +
+        '<input class="step-through-range" type="range" min="0" value="0" aria-label="Step">' +
+        '<p class="step-through-label"></p>' +
+      '</section>'
+    );
+
+    this._rangeEl = this.container.querySelector('.step-through-range');
+    this._labelEl = this.container.querySelector('.step-through-label');
+    this._findButton = this.container.querySelector('.step-through-find');
+    this._steps = [];
+
+    this._rangeEl.addEventListener('input', () =>
+      this._select(Number(this._rangeEl.value)),
+    );
+    this._findButton.addEventListener('click', () =>
+      this.emitter.emit('findVisualChange'),
+    );
+  }
+
+  /**
+   * @param {Array<{ name: string, svgFile: import('../svg-file.js').default }> | null} steps
+   * The first is the original, the rest follow each plugin.
+   */
+  setSteps(steps) {
+    this._steps = steps || [];
+    this.container.hidden = !steps;
+    if (!steps) return;
+
+    this._rangeEl.max = steps.length - 1;
+    this._rangeEl.value = steps.length - 1;
+    this._updateLabel();
+  }
+
+  get steps() {
+    return this._steps;
+  }
+
+  setStep(index) {
+    this._rangeEl.value = index;
+    this._select(index);
+  }
+
+  finding(isFinding) {
+    this._findButton.disabled = isFinding;
+  }
+
+  _select(index) {
+    this._updateLabel();
+    this.emitter.emit('select', { step: this._steps[index] });
+  }
+
+  async _updateLabel() {
+    const index = Number(this._rangeEl.value);
+    const { name, svgFile } = this._steps[index];
+    const size = await svgFile.size({ compress: false });
+
+    // the range has moved on while waiting
+    if (Number(this._rangeEl.value) !== index) return;
+
+    this._labelEl.textContent =
+      index === 0
+        ? `Original, ${humanSize(size)}`
+        : `${index}/${this._steps.length - 1}: ${name}, ${humanSize(size)}`;
+  }
+}
@@ -2,21 +2,24 @@ import { domReady, strToEl } from '../utils.js';
 import PanZoom from './pan-zoom.js';
 
 export default class SvgOutput {
-  constructor() {
+  constructor({ title = 'Loaded SVG file' } = {}) {
     // prettier-ignore
     this.container = strToEl(
       '<div class="svg-output">' +
         '<div class="svg-container">' +
-          '<iframe class="svg-frame" sandbox="allow-scripts" scrolling="no" title="Loaded SVG file"></iframe>' +
+          '<iframe class="svg-frame" sandbox="allow-scripts" scrolling="no"></iframe>' +
         '</div>' +
       '</div>'
     );
 
     this._svgFrame = this.container.querySelector('.svg-frame');
     this._svgContainer = this.container.querySelector('.svg-container');
+    this._svgFrame.title = title;
+    this._overlay = null;
+    this.panZoom = null;
 
     domReady.then(() => {
-      this._panZoom = new PanZoom(this._svgContainer, {
+      this.panZoom = new PanZoom(this._svgContainer, {
         eventArea: this.container,
       });
     });
@@ -31,12 +34,41 @@ export default class SvgOutput {
     this._svgFrame.src = `data:image/svg+xml,${encodeURIComponent(text)}`;
     this._svgFrame.style.width = `${width}px`;
     this._svgFrame.style.height = `${height}px`;
+    if (this._overlay) this._sizeOverlay();
     return nextLoad;
   }
 
+  /**
+   * Draws an image over the SVG, stretched to its size.
+   * @param {ImageData | null} imageData
+   */
+  setOverlay(imageData) {
+    if (!imageData) {
+      if (this._overlay) this._overlay.remove();
+      this._overlay = null;
+      return;
+    }
+
+    if (!this._overlay) {
+      this._overlay = document.createElement('canvas');
+      this._overlay.className = 'svg-overlay';
+      this._svgContainer.append(this._overlay);
+    }
+
+    this._overlay.width = imageData.width;
+    this._overlay.height = imageData.height;
+    this._overlay.getContext('2d').putImageData(imageData, 0, 0);
+    this._sizeOverlay();
+  }
+
+  _sizeOverlay() {
+    this._overlay.style.width = this._svgFrame.style.width;
+    this._overlay.style.height = this._svgFrame.style.height;
+  }
+
   reset() {
     this._svgFrame.src = 'about:blank';
-    this._panZoom.reset();
+    this.panZoom.reset();
   }
 
   _nextLoadPromise() {
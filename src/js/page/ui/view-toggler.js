@@ -2,7 +2,8 @@ import { createNanoEvents } from 'nanoevents';
 import { domReady } from '../utils.js';
 
 /**
- * Tabs that toggle between showing the SVG image and XML markup.
+ * Tabs that toggle between the output views: image, markup, comparison,
+ * markup diff and per-plugin analysis.
  */
 export default class ViewToggler {
   constructor() {
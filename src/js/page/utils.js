@@ -1,3 +1,6 @@
+import { isVectorDrawable } from './importers/vector-drawable.js';
+import { gzip, isGzipped } from './gzip.js';
+
 export const domReady = new Promise((resolve) => {
   function checkState() {
     if (document.readyState !== 'loading') resolve();
@@ -32,8 +35,60 @@ export function escapeHtmlTag(strings, ...values) {
   return strings.reduce((str, val, i) => str + val + (values[i] || ''), '');
 }
 
-export function readFileAsText(file) {
-  return new Response(file).text();
+// .svgz files are gzipped, so they're decompressed first
+export async function readFileAsText(file) {
+  const buffer = await new Response(file).arrayBuffer();
+  if (isGzipped(buffer)) return gzip.decompress(buffer);
+  return new TextDecoder().decode(buffer);
+}
+
+export function isSvgFile(file) {
+  return file.type === 'image/svg+xml' || /\.svgz?$/i.test(file.name);
+}
+
+// Android VectorDrawables are converted to SVG on load, but plenty of other
+// XML files share their extension, see readFilesAsSvgData
+export function isInputFile(file) {
+  return isSvgFile(file) || /\.xml$/i.test(file.name);
+}
+
+// Reads a list of { file, path } into the shape used by 'svgBatchLoad',
+// leaving out XML files that aren't VectorDrawables. Files that can't be
+// read, like broken .svgz files, get an `error` rather than failing the lot.
+export async function readFilesAsSvgData(entries) {
+  const files = await Promise.all(
+    entries.map(async ({ file, path = file.name }) => {
+      try {
+        return { data: await readFileAsText(file), filename: file.name, path };
+      } catch (error) {
+        return { data: null, filename: file.name, path, error };
+      }
+    }),
+  );
+
+  return files.filter(
+    ({ data, filename, error }) =>
+      error || !/\.xml$/i.test(filename) || isVectorDrawable(data),
+  );
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = url;
+  link.click();
+  // give the download a chance to start before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 10_000);
+}
+
+export function round(num, places) {
+  const mult = 10 ** places;
+  return Math.floor(Math.round(num * mult)) / mult;
+}
+
+export function humanSize(bytes) {
+  return bytes < 1024 ? `${bytes} bytes` : `${round(bytes / 1024, 2)}k`;
 }
 
 function transitionClassFunc({ removeClass = false } = {}) {
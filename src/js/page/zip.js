@@ -0,0 +1,17 @@
+import WorkerMessenger from './worker-messenger.js';
+
+class Zip extends WorkerMessenger {
+  constructor() {
+    super('js/zip-worker.js');
+  }
+
+  /**
+   * @param {{ path: string, data: string | ArrayBuffer }[]} files
+   * @returns {Promise<Blob>}
+   */
+  create(files) {
+    return this.requestResponse({ files });
+  }
+}
+
+export const zip = new Zip();
@@ -0,0 +1,55 @@
+// Channel difference (0-255) below which a pixel counts as unchanged.
+// Allows for anti-aliasing noise from tiny rounding differences.
+const tolerance = 24;
+
+// Flattens a premultiplied channel onto a white background
+function onWhite(channel, alpha) {
+  return channel + (255 - alpha);
+}
+
+function compare({ original, optimized }) {
+  const a = new Uint8ClampedArray(original);
+  const b = new Uint8ClampedArray(optimized);
+  const heatmap = new Uint8ClampedArray(a.length);
+  const pixelCount = a.length / 4;
+  let changed = 0;
+
+  for (let i = 0; i < a.length; i += 4) {
+    let delta = 0;
+
+    for (let channel = 0; channel < 3; channel++) {
+      delta = Math.max(
+        delta,
+        Math.abs(
+          onWhite((a[i + channel] * a[i + 3]) / 255, a[i + 3]) -
+            onWhite((b[i + channel] * b[i + 3]) / 255, b[i + 3]),
+        ),
+      );
+    }
+
+    if (delta <= tolerance) continue;
+
+    changed++;
+    heatmap[i] = 255;
+    heatmap[i + 3] = 96 + (delta / 255) * 159;
+  }
+
+  return {
+    score: pixelCount ? (changed / pixelCount) * 100 : 0,
+    heatmap: heatmap.buffer,
+  };
+}
+
+self.onmessage = (event) => {
+  try {
+    self.postMessage({
+      id: event.data.id,
+      result: compare(event.data),
+    });
+  } catch (error) {
+    self.postMessage({
+      id: event.data.id,
+      error: error.message,
+    });
+  }
+};
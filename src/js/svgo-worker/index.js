@@ -1,4 +1,6 @@
 import { optimize } from 'svgo/dist/svgo.browser.js';
+import { gzip } from 'pako/dist/pako_deflate.js';
+import { createSvgoConfig } from '../utils/svgo-config.js';
 
 const createDimensionsExtractor = () => {
   const dimensions = {};
@@ -33,46 +35,78 @@ const createDimensionsExtractor = () => {
 };
 
 function compress(svgInput, settings) {
-  // setup plugin list
-  const floatPrecision = Number(settings.floatPrecision);
-  const transformPrecision = Number(settings.transformPrecision);
+  const { multipass, plugins, js2svg } = createSvgoConfig(settings);
+
+  // multipass optimization
+  const [dimensions, extractDimensionsPlugin] = createDimensionsExtractor();
+  const { data, error } = optimize(svgInput, {
+    multipass,
+    plugins: [...plugins, extractDimensionsPlugin],
+    js2svg,
+  });
+
+  if (error) throw new Error(error);
+
+  return { data, dimensions };
+}
+
+function getSizes(data) {
+  return { size: data.length, gzipSize: gzip(data).length };
+}
+
+// Measures each plugin by running everything else without it
+function analyse(svgInput, settings) {
+  const result = getSizes(compress(svgInput, settings).data);
   const plugins = [];
 
   for (const [name, enabled] of Object.entries(settings.plugins)) {
     if (!enabled) continue;
 
-    const plugin = {
+    const without = getSizes(
+      compress(svgInput, {
+        ...settings,
+        plugins: { ...settings.plugins, [name]: false },
+      }).data,
+    );
+
+    plugins.push({
       name,
-      params: {},
-    };
+      saved: without.size - result.size,
+      gzipSaved: without.gzipSize - result.gzipSize,
+    });
+  }
 
-    // TODO: revisit this
-    // 0 almost always breaks images when used on `cleanupNumericValues`.
-    // Better to allow 0 for everything else, but switch to 1 for this plugin.
-    plugin.params.floatPrecision =
-      plugin.name === 'cleanupNumericValues' && floatPrecision === 0
-        ? 1
-        : floatPrecision;
+  return { ...result, plugins };
+}
 
-    plugin.params.transformPrecision = transformPrecision;
+// Runs the plugins one at a time, keeping each intermediate document.
+// Multipass repeats them while the output shrinks, as optimize() does.
+function steps(svgInput, settings) {
+  const { multipass, plugins, js2svg } = createSvgoConfig(settings);
+  const maxPasses = multipass ? 10 : 1;
+  const result = [];
+  let data = svgInput;
 
-    plugins.push(plugin);
-  }
+  for (let pass = 1; pass <= maxPasses; pass++) {
+    const previousSize = data.length;
 
-  // multipass optimization
-  const [dimensions, extractDimensionsPlugin] = createDimensionsExtractor();
-  const { data, error } = optimize(svgInput, {
-    multipass: settings.multipass,
-    plugins: [...plugins, extractDimensionsPlugin],
-    js2svg: {
-      indent: 2,
-      pretty: settings.pretty,
-    },
-  });
+    for (const plugin of plugins) {
+      const [dimensions, extractDimensionsPlugin] = createDimensionsExtractor();
+      data = optimize(data, {
+        plugins: [plugin, extractDimensionsPlugin],
+        js2svg,
+      }).data;
+      result.push({
+        name: pass === 1 ? plugin.name : `${plugin.name} (pass ${pass})`,
+        data,
+        dimensions,
+      });
+    }
 
-  if (error) throw new Error(error);
+    if (data.length >= previousSize) break;
+  }
 
-  return { data, dimensions };
+  return result;
 }
 
 const actions = {
@@ -89,6 +123,25 @@ const actions = {
   process({ data, settings }) {
     return compress(data, settings);
   },
+  analyse({ data, settings }) {
+    return analyse(data, settings);
+  },
+  steps({ data, settings }) {
+    return steps(data, settings);
+  },
+  // So ids & classes from different files can share a document
+  prefixIds({ data, prefix }) {
+    return optimize(data, {
+      plugins: [{ name: 'prefixIds', params: { prefix } }],
+    }).data;
+  },
+  // Formats markup consistently without changing it, for diffing
+  prettify({ data }) {
+    return optimize(data, {
+      plugins: [],
+      js2svg: { pretty: true, indent: 2 },
+    }).data;
+  },
 };
 
 self.onmessage = (event) => {
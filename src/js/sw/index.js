@@ -20,10 +20,13 @@ addEventListener('install', (event) => {
         'changelog.json',
         'fonts/code-latin.woff2',
         'imgs/icon.png',
+        'js/diff-worker.js',
         'js/gzip-worker.js',
         'js/page.js',
+        'js/pixel-diff-worker.js',
         'js/prism-worker.js',
         'js/svgo-worker.js',
+        'js/zip-worker.js',
         'test-svgs/car-lite.svg',
       ]);
 
@@ -82,9 +85,13 @@ addEventListener('fetch', (event) => {
     return;
   }
 
+  // the page is precached without a query string, but can be opened with one
+  // such as ?url=…
+  const matchOptions = { ignoreSearch: event.request.mode === 'navigate' };
+
   event.respondWith(
     caches
-      .match(event.request)
+      .match(event.request, matchOptions)
       .then((response) => response || fetch(event.request)),
   );
 });
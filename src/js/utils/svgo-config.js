@@ -0,0 +1,57 @@
+// Plugins that read the precision params, everything else ignores them
+const floatPrecisionPlugins = new Set([
+  'cleanupListOfValues',
+  'cleanupNumericValues',
+  'convertPathData',
+  'convertShapeToPath',
+  'convertTransform',
+  'mergePaths',
+]);
+const transformPrecisionPlugins = new Set([
+  'convertPathData',
+  'convertTransform',
+]);
+
+/**
+ * Turns the output of Settings#getSettings into an SVGO config.
+ * Shared by the svgo worker and the svgo.config.js export.
+ */
+export function createSvgoConfig(settings) {
+  const floatPrecision = Number(settings.floatPrecision);
+  const transformPrecision = Number(settings.transformPrecision);
+  const plugins = [];
+
+  for (const [name, enabled] of Object.entries(settings.plugins)) {
+    if (!enabled) continue;
+
+    const plugin = {
+      name,
+      params: { ...settings.pluginParams[name] },
+    };
+
+    if (floatPrecisionPlugins.has(name)) {
+      // TODO: revisit this
+      // 0 almost always breaks images when used on `cleanupNumericValues`.
+      // Better to allow 0 for everything else, but switch to 1 for this plugin.
+      plugin.params.floatPrecision =
+        name === 'cleanupNumericValues' && floatPrecision === 0
+          ? 1
+          : floatPrecision;
+    }
+
+    if (transformPrecisionPlugins.has(name)) {
+      plugin.params.transformPrecision = transformPrecision;
+    }
+
+    plugins.push(plugin);
+  }
+
+  return {
+    multipass: settings.multipass,
+    plugins,
+    js2svg: {
+      indent: 2,
+      pretty: settings.pretty,
+    },
+  };
+}
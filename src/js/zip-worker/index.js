@@ -0,0 +1,113 @@
+/* eslint-disable no-bitwise */
+import { deflateRaw } from 'pako/dist/pako_deflate.js';
+
+const crcTable = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xed_b8_83_20 ^ (c >>> 1) : c >>> 1;
+  }
+
+  return c;
+});
+
+function crc32(bytes) {
+  let crc = 0xff_ff_ff_ff;
+  for (const byte of bytes) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+
+  return (crc ^ 0xff_ff_ff_ff) >>> 0;
+}
+
+function dosDateTime(date) {
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date:
+      ((date.getFullYear() - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  };
+}
+
+// Builds a zip archive from [{ path, data }], where data is a string or bytes
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const { time, date } = dosDateTime(new Date());
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.path);
+    const data =
+      typeof file.data === 'string'
+        ? encoder.encode(file.data)
+        : new Uint8Array(file.data);
+    const compressed = deflateRaw(data);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04_03_4b_50, true);
+    local.setUint16(4, 20, true); // version needed
+    local.setUint16(6, 0x08_00, true); // utf-8 filenames
+    local.setUint16(8, 8, true); // deflate
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, compressed.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true); // extra field length
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02_01_4b_50, true);
+    central.setUint16(4, 20, true); // version made by
+    central.setUint16(6, 20, true); // version needed
+    central.setUint16(8, 0x08_00, true);
+    central.setUint16(10, 8, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, compressed.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    // extra, comment, disk number & attributes are all zero
+    central.setUint32(42, offset, true);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += 30 + name.length + compressed.length;
+  }
+
+  const centralSize = centralParts.reduce(
+    (size, part) => size + part.byteLength,
+    0,
+  );
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06_05_4b_50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...localParts, ...centralParts, end], {
+    type: 'application/zip',
+  });
+}
+
+self.onmessage = (event) => {
+  try {
+    self.postMessage({
+      id: event.data.id,
+      result: createZip(event.data.files),
+    });
+  } catch (error) {
+    self.postMessage({
+      id: event.data.id,
+      error: error.message,
+    });
+  }
+};